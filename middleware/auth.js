@@ -1,18 +1,80 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 
-// JWT Secret (should be in environment variable)
+// JWT Secret (should be in environment variable). Exported so everything
+// derived from it falls back to the same value.
 const JWT_SECRET =
   process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
-const JWT_EXPIRE = process.env.JWT_EXPIRE || "7d";
+// Access tokens are short-lived, clients renew them with a refresh token
+const JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, JWT_SECRET, {
+// Generate JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, {
     expiresIn: JWT_EXPIRE,
   });
 };
 
+// Suspended users can't sign in, so login gives them a short-lived token
+// that only works on the routes for appealing (see protectOrAppeal)
+const generateAppealToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: "appeal" }, JWT_SECRET, {
+    expiresIn: "1h",
+  });
+};
+
+// Start a session and issue an access token plus refresh token
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    expiresIn: JWT_EXPIRE,
+  };
+};
+
+// Rotate a refresh token, returns new tokens or { error }
+const refreshTokens = async (refreshToken) => {
+  const { session, refreshToken: nextRefreshToken, error } =
+    await Session.rotate(refreshToken);
+
+  if (error) {
+    return { error };
+  }
+
+  return {
+    userId: session.user,
+    token: generateToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: JWT_EXPIRE,
+  };
+};
+
+// Verify an access token and check its session has not been revoked.
+// Shared by protect, optionalAuth and the Socket.io handshake.
+// Throws if the token or session is invalid, returns { user, session }.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so reject them
+  if (!decoded.sid) {
+    throw new Error("Token has no session");
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw new Error("Session has expired or been revoked");
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+  return { user, session };
+};
+
 // Protect routes - Authentication middleware
 const protect = async (req, res, next) => {
   let token;
@@ -26,11 +88,10 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(" ")[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      // Get user from token (exclude password)
-      req.user = await User.findById(decoded.id).select("-password");
+      // Verify token and session, get user (exclude password)
+      const { user, session } = await authenticateToken(token);
+      req.user = user;
+      req.authSession = session;
 
       if (!req.user) {
         return res.status(401).json({
@@ -48,7 +109,7 @@ const protect = async (req, res, next) => {
 
       next();
     } catch (error) {
-      console.error("Auth middleware error:", error);
+      console.error("Auth middleware error:", error.message);
       return res.status(401).json({
         success: false,
         error: "Not authorized, token failed",
@@ -74,10 +135,11 @@ const optionalAuth = async (req, res, next) => {
   ) {
     try {
       token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
+      const { user, session } = await authenticateToken(token);
+      req.user = user;
+      req.authSession = session;
     } catch (error) {
-      // Token invalid or expired, continue without user
+      // Token invalid, expired or revoked, continue without user
       req.user = null;
     }
   }
@@ -85,8 +147,75 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Check whether a user's platform role is at least the given one
+const hasPlatformRole = (user, role) =>
+  !!user &&
+  User.PLATFORM_ROLES.indexOf(user.role) >= User.PLATFORM_ROLES.indexOf(role);
+
+// Restrict a route to users with at least a platform role ("moderator" or
+// "admin"). Use after protect.
+const requireRole = (role) => (req, res, next) => {
+  if (!hasPlatformRole(req.user, role)) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`,
+    });
+  }
+  next();
+};
+
+// Like protect, but also lets suspended users in with their appeal token
+// (req.user is then their suspended account)
+const protectOrAppeal = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  let decoded = null;
+
+  try {
+    decoded = jwt.verify(header.split(" ")[1], JWT_SECRET);
+  } catch (error) {
+    // Not a valid token at all, protect replies
+  }
+
+  if (
+    !header.startsWith("Bearer") ||
+    !decoded ||
+    decoded.purpose !== "appeal"
+  ) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select("-password");
+
+    // The token is useless once the suspension is lifted
+    if (!user || user.isActive || !user.suspension?.suspendedAt) {
+      return res.status(401).json({
+        success: false,
+        error: "Appeal token is no longer valid",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Auth middleware error:", error.message);
+    return res.status(401).json({
+      success: false,
+      error: "Not authorized, token failed",
+    });
+  }
+};
+
 module.exports = {
+  JWT_SECRET,
   generateToken,
+  generateAppealToken,
+  issueTokens,
+  refreshTokens,
+  authenticateToken,
   protect,
   optionalAuth,
+  protectOrAppeal,
+  hasPlatformRole,
+  requireRole,
 };
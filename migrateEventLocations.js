@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Event = require("./models/Event");
+const { toGeoPoint } = require("./utils/geo");
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/communityevents";
+
+// Old compound index on the plain latitude/longitude numbers
+const LEGACY_INDEX = "coordinates.latitude_1_coordinates.longitude_1";
+
+async function migrateEventLocations() {
+  try {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log("✅ Connected to MongoDB");
+
+    // Copy legacy coordinates into the GeoJSON geoLocation field
+    const events = await Event.find({})
+      .select("coordinates geoLocation")
+      .lean();
+    const operations = events.map((event) => {
+      const geoLocation = toGeoPoint(event.coordinates);
+      return {
+        updateOne: {
+          filter: { _id: event._id },
+          update: geoLocation
+            ? { $set: { geoLocation } }
+            : { $unset: { geoLocation: 1 } },
+        },
+      };
+    });
+
+    if (operations.length > 0) {
+      await Event.bulkWrite(operations);
+    }
+
+    const located = operations.filter((op) => op.updateOne.update.$set).length;
+    console.log(
+      `✅ Migrated ${operations.length} events (${located} with a location)`
+    );
+
+    // Replace the old lat/lng index with the 2dsphere index
+    try {
+      await Event.collection.dropIndex(LEGACY_INDEX);
+      console.log("🗑️  Dropped legacy coordinates index");
+    } catch (error) {
+      console.log("ℹ️  Legacy coordinates index not found, skipping");
+    }
+
+    await Event.createIndexes();
+    console.log("✅ Created 2dsphere index on geoLocation");
+
+    mongoose.connection.close();
+    console.log("\n✅ Location migration completed!");
+  } catch (error) {
+    console.error("❌ Error migrating event locations:", error);
+    process.exit(1);
+  }
+}
+
+migrateEventLocations();
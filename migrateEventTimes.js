@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Event = require("./models/Event");
+const { DEFAULT_TIMEZONE } = require("./utils/time");
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/communityevents";
+
+async function migrateEventTimes() {
+  try {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log("✅ Connected to MongoDB");
+
+    // Give events without one the default timezone and derive the local
+    // date, time and end date strings from dateTime
+    const events = await Event.find({})
+      .select("dateTime endDateTime duration timezone")
+      .lean();
+    const operations = events.map((event) => {
+      const timezone = event.timezone || DEFAULT_TIMEZONE;
+      return {
+        updateOne: {
+          filter: { _id: event._id },
+          update: {
+            $set: {
+              timezone,
+              ...Event.getLocalDateFields({ ...event, timezone }),
+            },
+          },
+        },
+      };
+    });
+
+    if (operations.length > 0) {
+      await Event.bulkWrite(operations);
+    }
+
+    console.log(
+      `✅ Migrated ${operations.length} events (default timezone: ${DEFAULT_TIMEZONE})`
+    );
+
+    await Event.createIndexes();
+    console.log("✅ Created date range index");
+
+    mongoose.connection.close();
+    console.log("\n✅ Time migration completed!");
+  } catch (error) {
+    console.error("❌ Error migrating event times:", error);
+    process.exit(1);
+  }
+}
+
+migrateEventTimes();
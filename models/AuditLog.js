@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// What an audit log entry can point at
+const AUDIT_TARGET_TYPES = [
+  "User",
+  "Group",
+  "Post",
+  "Comment",
+  "Message",
+  "Event",
+  "Report",
+];
+
+// Record of a moderation or management action: who did what to what.
+// Entries are only ever added, see services/auditLog.js.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true, // e.g. "member_banned"
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null, // Group the action was taken in, null for platform actions
+    },
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}, // e.g. { reason } or { from, to } for role changes
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ group: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+AuditLog.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = AuditLog;
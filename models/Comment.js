@@ -28,6 +28,10 @@ const commentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    isHidden: {
+      type: Boolean,
+      default: false, // Hidden by a moderator, its author still sees it
+    },
   },
   {
     timestamps: true,
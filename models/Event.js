@@ -1,4 +1,25 @@
 const mongoose = require("mongoose");
+const { toGeoPoint } = require("../utils/geo");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  formatLocalDate,
+  formatLocalTime,
+} = require("../utils/time");
+
+// Permissions the creator can give co-hosts
+const EVENT_PERMISSIONS = ["edit", "manage_attendees", "check_in", "cancel"];
+
+// Statuses in which users can attend or join the waitlist
+const JOINABLE_STATUSES = ["published", "ongoing"];
+
+// $expr matching events with a free spot (no capacity means unlimited)
+const HAS_FREE_SPOT = {
+  $or: [
+    { $not: ["$capacity"] },
+    { $lt: [{ $size: "$attendeesList" }, "$capacity"] },
+  ],
+};
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -27,6 +48,17 @@ const eventSchema = new mongoose.Schema({
       default: null,
     },
   },
+  geoLocation: {
+    // GeoJSON point kept in sync with coordinates, used for distance queries
+    type: {
+      type: String,
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
   category: {
     type: String,
     required: true,
@@ -41,6 +73,8 @@ const eventSchema = new mongoose.Schema({
     ],
     default: "Community",
   },
+  // Legacy local date (YYYY-MM-DD) and time (HH:mm) strings, derived from
+  // dateTime and timezone for old clients
   date: {
     type: String,
     required: true,
@@ -53,6 +87,27 @@ const eventSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE, // IANA name, e.g. "Europe/Berlin"
+    validate: {
+      validator: isValidTimeZone,
+      message: "Invalid timezone",
+    },
+  },
+  endDate: {
+    type: String,
+    default: null, // Local date the event ends on, derived like date
+  },
+  endDateTime: {
+    type: Date,
+    default: null, // Optional end time, takes precedence over duration
+  },
+  duration: {
+    type: Number,
+    default: null, // Optional length in minutes
+    min: 1,
+  },
   attendees: {
     type: Number,
     default: 0,
@@ -63,6 +118,19 @@ const eventSchema = new mongoose.Schema({
     default: null, // null means unlimited capacity
     min: 1,
   },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+    default: null, // Group hosting the event
+  },
+  membersOnly: {
+    type: Boolean,
+    default: false, // Only visible to the members of its (private) group
+  },
+  isHidden: {
+    type: Boolean,
+    default: false, // Hidden by a moderator, only its hosts still see it
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -74,6 +142,68 @@ const eventSchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  waitlist: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ], // Ordered first-come, first-served once the event is full
+  coHosts: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      permissions: [
+        {
+          type: String,
+          enum: EVENT_PERMISSIONS,
+        },
+      ],
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ], // Organizers helping the creator, see services/eventPermissions.js
+  coHostInvites: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      permissions: [
+        {
+          type: String,
+          enum: EVENT_PERMISSIONS,
+        },
+      ],
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ], // Pending co-host invitations, moved to coHosts when accepted
+  remindersSent: {
+    // Reminders already sent, tied to the dateTime they were sent for so
+    // moving the event re-arms them. Maintained by services/reminders.js
+    type: [
+      {
+        _id: false,
+        offsetMinutes: Number,
+        dateTime: Date,
+      },
+    ],
+    select: false,
+  },
   image: {
     type: String,
     default: "📌",
@@ -84,9 +214,57 @@ const eventSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["draft", "published", "cancelled"],
+    // ongoing and completed are set by the lifecycle job from the start and
+    // end times (services/eventLifecycle.js)
+    enum: ["draft", "published", "ongoing", "completed", "cancelled"],
     default: "published",
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null, // Shared by every occurrence of a recurring event
+  },
+  recurrence: {
+    type: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      daysOfWeek: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      monthlyBy: {
+        type: String,
+        enum: ["dayOfMonth", "nthWeekday", null],
+        default: null,
+      },
+      until: {
+        type: Date,
+        default: null,
+      },
+      count: {
+        type: Number,
+        default: null,
+      },
+    },
+    default: null,
+  },
+  occurrenceIndex: {
+    type: Number,
+    default: null, // 0-based position within the series
+  },
+  isSeriesException: {
+    type: Boolean,
+    default: false, // True once this occurrence is edited on its own
+  },
   isUserCreated: {
     type: Boolean,
     default: true,
@@ -107,11 +285,214 @@ eventSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the GeoJSON location in sync with the legacy coordinates.
+// Runs on validate so it also covers insertMany.
+eventSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("coordinates")) {
+    this.geoLocation = toGeoPoint(this.coordinates) || undefined;
+  }
+  next();
+});
+
+// Fields the local date and time strings are derived from
+const TIME_FIELDS = ["dateTime", "endDateTime", "duration", "timezone"];
+
+// Derive the local date, time and end date strings of an event
+const getLocalDateFields = ({ dateTime, endDateTime, duration, timezone }) => {
+  const start = new Date(dateTime);
+  if (isNaN(start.getTime())) return {};
+
+  const timeZone = isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  let end = start;
+  if (endDateTime) {
+    end = new Date(endDateTime);
+  } else if (duration) {
+    end = new Date(start.getTime() + duration * 60 * 1000);
+  }
+  // An event ending at midnight ends on the day before
+  if (end > start) {
+    end = new Date(end.getTime() - 1);
+  }
+
+  return {
+    date: formatLocalDate(start, timeZone),
+    time: formatLocalTime(start, timeZone),
+    endDate: formatLocalDate(end, timeZone),
+  };
+};
+
+eventSchema.pre("validate", function (next) {
+  if (this.isNew || TIME_FIELDS.some((field) => this.isModified(field))) {
+    Object.assign(this, getLocalDateFields(this));
+  }
+  next();
+});
+
+eventSchema.pre("validate", function (next) {
+  if (this.endDateTime && this.dateTime && this.endDateTime <= this.dateTime) {
+    this.invalidate("endDateTime", "End time must be after the start time");
+  }
+  next();
+});
+
+eventSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate();
+  const coordinates =
+    update.coordinates || (update.$set && update.$set.coordinates);
+
+  if (coordinates) {
+    const geoLocation = toGeoPoint(coordinates);
+    if (geoLocation) {
+      this.set("geoLocation", geoLocation);
+    } else {
+      this.setUpdate({
+        ...update,
+        $unset: { ...update.$unset, geoLocation: 1 },
+      });
+    }
+  }
+  next();
+});
+
+// Local date strings for a plain event object, e.g. in migrations
+eventSchema.statics.getLocalDateFields = getLocalDateFields;
+
+// Re-derive the local date strings when an update changes the event time
+eventSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const changes = { ...update, ...update.$set };
+  if (!TIME_FIELDS.some((field) => changes[field] !== undefined)) return;
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select(TIME_FIELDS.join(" "))
+    .lean();
+  if (!current) return;
+
+  const fields = { ...current };
+  TIME_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) fields[field] = changes[field];
+  });
+  this.set(getLocalDateFields(fields));
+});
+
+// Check whether the event has reached its capacity
+eventSchema.methods.isFull = function () {
+  return !!this.capacity && this.attendeesList.length >= this.capacity;
+};
+
+// Get a user's 1-based position on the waitlist (null if not waitlisted)
+eventSchema.methods.getWaitlistPosition = function (userId) {
+  const index = this.waitlist.findIndex(
+    (id) => id.toString() === userId.toString()
+  );
+  return index === -1 ? null : index + 1;
+};
+
+// The attendance statics below are single conditional updates, so RSVPs
+// arriving at the same time can't overbook an event or lose each other's
+// changes. Each returns the updated event, or null when the condition
+// didn't hold (already attending, full, not joinable, ...).
+
+// Add a user to the attendees if the event is joinable and has a spot
+eventSchema.statics.addAttendee = function (eventId, userId) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $in: JOINABLE_STATUSES },
+      attendeesList: { $ne: userId },
+      waitlist: { $ne: userId },
+      $expr: HAS_FREE_SPOT,
+    },
+    { $push: { attendeesList: userId }, $inc: { attendees: 1 } },
+    { new: true }
+  );
+};
+
+// Add a user to the waitlist if the event is joinable and full
+eventSchema.statics.addToWaitlist = function (eventId, userId) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $in: JOINABLE_STATUSES },
+      attendeesList: { $ne: userId },
+      waitlist: { $ne: userId },
+      $expr: { $not: [HAS_FREE_SPOT] },
+    },
+    { $push: { waitlist: userId } },
+    { new: true }
+  );
+};
+
+// Remove a user from the attendees, keeping the count from going negative
+eventSchema.statics.removeAttendee = function (eventId, userId) {
+  const id = new mongoose.Types.ObjectId(userId);
+  return this.findOneAndUpdate(
+    { _id: eventId, attendeesList: id },
+    [
+      {
+        $set: {
+          attendeesList: {
+            $filter: {
+              input: "$attendeesList",
+              cond: { $ne: ["$$this", id] },
+            },
+          },
+          attendees: { $max: [0, { $subtract: ["$attendees", 1] }] },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+eventSchema.statics.removeFromWaitlist = function (eventId, userId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, waitlist: userId },
+    { $pull: { waitlist: userId } },
+    { new: true }
+  );
+};
+
+// Move the first waitlisted user into the attendees if there is a free
+// spot. Returns the promoted user ID, or null if nobody could be promoted.
+eventSchema.statics.promoteNextFromWaitlist = async function (eventId) {
+  for (;;) {
+    const event = await this.findById(eventId).select(
+      "capacity attendeesList waitlist"
+    );
+    if (!event || event.waitlist.length === 0 || event.isFull()) return null;
+
+    const [userId] = event.waitlist;
+    const result = await this.updateOne(
+      { _id: eventId, "waitlist.0": userId, $expr: HAS_FREE_SPOT },
+      {
+        $pop: { waitlist: -1 },
+        $push: { attendeesList: userId },
+        $inc: { attendees: 1 },
+      }
+    );
+    if (result.modifiedCount > 0) return userId;
+    // The event changed since it was read, look again
+  }
+};
+
 // Create indexes for better query performance
 eventSchema.index({ title: "text", description: "text", location: "text" });
 eventSchema.index({ category: 1 });
+eventSchema.index({ group: 1, dateTime: 1 });
 eventSchema.index({ dateTime: 1 });
+eventSchema.index({ date: 1, endDate: 1 });
 eventSchema.index({ status: 1 });
-eventSchema.index({ "coordinates.latitude": 1, "coordinates.longitude": 1 });
+eventSchema.index({ waitlist: 1 });
+eventSchema.index({ "coHosts.user": 1 });
+eventSchema.index({ "coHostInvites.user": 1 });
+eventSchema.index({ series: 1, dateTime: 1 });
+eventSchema.index({ geoLocation: "2dsphere" });
+
+const Event = mongoose.model("Event", eventSchema);
+
+Event.EVENT_PERMISSIONS = EVENT_PERMISSIONS;
+Event.JOINABLE_STATUSES = JOINABLE_STATUSES;
 
-module.exports = mongoose.model("Event", eventSchema);
+module.exports = Event;
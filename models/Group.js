@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
 
 const groupSchema = new mongoose.Schema(
   {
@@ -43,6 +44,12 @@ const groupSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    moderators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ], // Members who can remove posts, comments and members
     members: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -55,7 +62,112 @@ const groupSchema = new mongoose.Schema(
     },
     isPrivate: {
       type: Boolean,
-      default: false,
+      default: false, // Members only see posts and members, others ask to join
+    },
+    joinRequests: {
+      // Pending requests to join a private group, approved by admins
+      type: [
+        {
+          _id: false,
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          message: {
+            type: String,
+            trim: true,
+            maxlength: [300, "Message cannot exceed 300 characters"],
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    invites: {
+      // Users invited by an admin, they join when they accept
+      type: [
+        {
+          _id: false,
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    bans: {
+      // Users removed from the group who can't join again
+      type: [
+        {
+          _id: false,
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          bannedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, "Reason cannot exceed 300 characters"],
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    inviteLinks: {
+      // Shareable invite links. Only a hash of the token is stored.
+      type: [
+        {
+          tokenHash: {
+            type: String,
+            required: true,
+          },
+          createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          expiresAt: {
+            type: Date,
+            default: null, // null never expires
+          },
+          maxUses: {
+            type: Number,
+            default: null, // null is unlimited
+            min: 1,
+          },
+          uses: {
+            type: Number,
+            default: 0,
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
     },
     memberCount: {
       type: Number,
@@ -75,6 +187,9 @@ const groupSchema = new mongoose.Schema(
 groupSchema.index({ name: "text", description: "text" });
 groupSchema.index({ category: 1 });
 groupSchema.index({ creator: 1 });
+groupSchema.index({ "invites.user": 1 });
+groupSchema.index({ "bans.user": 1 });
+groupSchema.index({ "inviteLinks.tokenHash": 1 });
 
 // Update member count before saving
 groupSchema.pre("save", function (next) {
@@ -82,4 +197,77 @@ groupSchema.pre("save", function (next) {
   next();
 });
 
+// Hash an invite link token for storage and lookup
+const hashInviteToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Check whether an invite link can still be used
+const isInviteLinkUsable = (link, now = new Date()) =>
+  (!link.expiresAt || link.expiresAt > now) &&
+  (!link.maxUses || link.uses < link.maxUses);
+
+// Create an invite link, returns the token (only shown once) and the link
+groupSchema.statics.createInviteLink = async function (
+  groupId,
+  { createdBy, expiresAt = null, maxUses = null }
+) {
+  const token = crypto.randomBytes(18).toString("base64url");
+  const link = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenHash: hashInviteToken(token),
+    createdBy,
+    expiresAt,
+    maxUses,
+  };
+
+  await this.updateOne({ _id: groupId }, { $push: { inviteLinks: link } });
+  return { token, link };
+};
+
+// Find the group an invite link token belongs to, with the matching link
+// as `inviteLink`. Expired and used up links are still returned, check
+// them with isInviteLinkUsable.
+groupSchema.statics.findByInviteToken = async function (token) {
+  const tokenHash = hashInviteToken(token);
+  const group = await this.findOne({ "inviteLinks.tokenHash": tokenHash })
+    .select("+inviteLinks +bans")
+    .exec();
+
+  if (group) {
+    group.inviteLink = group.inviteLinks.find(
+      (link) => link.tokenHash === tokenHash
+    );
+  }
+  return group;
+};
+
+// Add a user to a group and clear their join request and invitation.
+// Pass an invite link to count the use; it fails if the link was used up in
+// the meantime. Banned users are never added. Returns false if nothing
+// changed.
+groupSchema.statics.addMember = async function (groupId, userId, link) {
+  const filter = {
+    _id: groupId,
+    members: { $ne: userId },
+    "bans.user": { $ne: userId },
+  };
+  const update = {
+    $push: { members: userId },
+    $inc: { memberCount: 1 },
+    $pull: { joinRequests: { user: userId }, invites: { user: userId } },
+  };
+
+  if (link) {
+    filter.inviteLinks = {
+      $elemMatch: { _id: link._id, uses: link.uses },
+    };
+    update.$inc["inviteLinks.$.uses"] = 1;
+  }
+
+  const result = await this.updateOne(filter, update);
+  return result.modifiedCount > 0;
+};
+
+groupSchema.statics.isInviteLinkUsable = isInviteLinkUsable;
+
 module.exports = mongoose.model("Group", groupSchema);
@@ -11,9 +11,21 @@ const messageSchema = new mongoose.Schema(
     receiver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Direct messages have a receiver, room messages have a room instead
+      required: function () {
+        return !this.roomId;
+      },
       index: true,
     },
+    roomType: {
+      type: String,
+      enum: ["group", "event", null],
+      default: null,
+    },
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null, // Group or Event ID for room messages
+    },
     message: {
       type: String,
       required: true,
@@ -27,6 +39,10 @@ const messageSchema = new mongoose.Schema(
     readAt: {
       type: Date,
     },
+    isHidden: {
+      type: Boolean,
+      default: false, // Hidden by a moderator, left out of chat history
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
@@ -36,13 +52,29 @@ const messageSchema = new mongoose.Schema(
 // Compound index for efficient queries
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 messageSchema.index({ receiver: 1, read: 1 });
+messageSchema.index({ roomType: 1, roomId: 1, createdAt: -1 });
 
 // Virtual for conversation participants (sorted for consistency)
 messageSchema.virtual("conversationId").get(function () {
+  if (this.roomId) {
+    return `${this.roomType}:${this.roomId}`;
+  }
   const ids = [this.sender.toString(), this.receiver.toString()].sort();
   return ids.join("-");
 });
 
+// Get the IDs of everyone a user has exchanged messages with
+messageSchema.statics.getConversationPartnerIds = async function (userId) {
+  const [receivers, senders] = await Promise.all([
+    this.distinct("receiver", { sender: userId, roomId: null }),
+    this.distinct("sender", { receiver: userId, roomId: null }),
+  ]);
+
+  const ids = new Set([...receivers, ...senders].map((id) => id.toString()));
+  ids.delete(userId.toString());
+  return [...ids];
+};
+
 const Message = mongoose.model("Message", messageSchema);
 
 module.exports = Message;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+// Every kind of notification, users can mute any of these
+const NOTIFICATION_TYPES = [
+  "post_comment",
+  "post_like",
+  "group_join",
+  "group_join_request",
+  "group_invite",
+  "group_request_approved",
+  "group_event",
+  "event_attend",
+  "event_cancelled",
+  "event_reminder",
+  "waitlist_promoted",
+  "cohost_invite",
+  "event_transferred",
+  "moderation_action",
+  "new_message",
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // The user who triggered it, null for system notifications
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 300,
+    },
+    // What the notification is about, so the app can link to it
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
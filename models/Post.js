@@ -40,6 +40,10 @@ const postSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isHidden: {
+      type: Boolean,
+      default: false, // Shown only to its author and group moderators
+    },
   },
   {
     timestamps: true,
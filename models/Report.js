@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+
+const REPORT_TARGET_TYPES = ["Post", "Comment", "Message", "Event", "User"];
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "violence",
+  "nudity",
+  "misinformation",
+  "impersonation",
+  "other",
+];
+const MODERATION_ACTIONS = ["hide", "delete", "warn", "suspend"];
+
+// A user's report about content or another user, and what moderators did
+// about it. See services/moderation.js.
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Author of the content, or the reported user
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null, // Group whose moderators review the report
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: [true, "A reason is required"],
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Details cannot exceed 1000 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    action: {
+      type: String,
+      enum: [...MODERATION_ACTIONS, null],
+      default: null, // What was done when the report was resolved
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Note cannot exceed 1000 characters"],
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    primaryReport: {
+      // Set on reports resolved along with another one on the same target.
+      // The action was taken on that report, so it's appealed there.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      default: null,
+    },
+    appeal: {
+      // The target user can appeal an action once
+      status: {
+        type: String,
+        enum: ["none", "pending", "accepted", "rejected"],
+        default: "none",
+      },
+      message: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Appeal cannot exceed 1000 characters"],
+      },
+      createdAt: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+      note: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reportSchema.index({ status: 1, group: 1, createdAt: -1 });
+reportSchema.index({ target: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+reportSchema.index({ targetUser: 1, createdAt: -1 });
+reportSchema.index({ "appeal.status": 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+Report.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+Report.REPORT_REASONS = REPORT_REASONS;
+Report.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = Report;
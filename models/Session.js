@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Refresh tokens are valid for this many days after they are issued
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false, // Only the hash of the current refresh token is stored
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove sessions from the database once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token secret for storage
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    tokenHash: hashToken(secret),
+  };
+};
+
+const getExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Start a new session for a user, returns the session and its refresh token
+sessionSchema.statics.start = async function (userId, client = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const { refreshToken, tokenHash } = buildRefreshToken(_id);
+
+  const session = await this.create({
+    _id,
+    user: userId,
+    tokenHash,
+    userAgent: client.userAgent || "",
+    ip: client.ip || "",
+    expiresAt: getExpiryDate(),
+  });
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one (rotation).
+// Returns { session, refreshToken } or { error } if the token is not valid.
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const next = buildRefreshToken(sessionId);
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      tokenHash: next.tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: getExpiryDate(),
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: next.refreshToken };
+  }
+
+  // A known session with an old token means the token was reused,
+  // possibly stolen, so the whole session is revoked
+  const reused = await this.updateOne(
+    { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+  if (reused.modifiedCount > 0) {
+    return { error: "Refresh token has already been used" };
+  }
+
+  return { error: "Session has expired or been revoked" };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = async function (userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(query, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// One ticket per attendee per event. The signed code shown as a QR code is
+// derived from the ticket (see services/tickets.js), so it isn't stored.
+const ticketSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active", // Cancelled when the user stops attending
+    },
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+ticketSchema.index({ event: 1, user: 1 }, { unique: true });
+ticketSchema.index({ event: 1, checkedInAt: 1 });
+
+module.exports = mongoose.model("Ticket", ticketSchema);
@@ -1,5 +1,14 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { NOTIFICATION_TYPES } = require("./Notification");
+
+// Platform roles, from lowest to highest. Moderators review reports across
+// the platform, admins also manage accounts, events and groups.
+const PLATFORM_ROLES = ["user", "moderator", "admin"];
+
+// Sign-in providers an account can be linked to, see services/oauth
+const OAUTH_PROVIDERS = ["google", "apple", "github"];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,12 +29,46 @@ const userSchema = new mongoose.Schema({
       "Please provide a valid email",
     ],
   },
+  emailVerified: {
+    type: Boolean,
+    default: false, // Set from the link in the verification email
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
   password: {
     type: String,
-    required: [true, "Password is required"],
+    // Accounts created through a sign-in provider don't need one
+    required: [
+      function () {
+        return !this.identities || this.identities.length === 0;
+      },
+      "Password is required",
+    ],
     minlength: [6, "Password must be at least 6 characters"],
     select: false, // Don't return password by default in queries
   },
+  identities: [
+    {
+      // Accounts at sign-in providers the user can log in with
+      _id: false,
+      provider: {
+        type: String,
+        enum: OAUTH_PROVIDERS,
+        required: true,
+      },
+      subject: {
+        type: String, // The provider's ID for the user
+        required: true,
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   avatar: {
     type: String,
     default: "https://via.placeholder.com/150",
@@ -65,10 +108,56 @@ const userSchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  blockedUsers: {
+    // Users this user blocked, see User.getBlockedIds
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    select: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  role: {
+    type: String,
+    enum: PLATFORM_ROLES,
+    default: "user",
+  },
+  suspension: {
+    // Set when a moderator suspends the account (isActive is false)
+    reason: String,
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null, // Set when the user's last chat connection closes
+  },
+  calendarTokenHash: {
+    type: String,
+    default: null, // SHA-256 of the private calendar feed token
+    select: false,
+  },
+  notificationPreferences: {
+    // Notification types the user doesn't want to receive
+    muted: [
+      {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+      },
+    ],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -102,8 +191,11 @@ userSchema.pre("save", function (next) {
   next();
 });
 
-// Method to compare password for login
+// Method to compare password for login. Accounts without a password
+// (sign-in provider only) never match.
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -139,8 +231,10 @@ userSchema.methods.toPublicProfile = function () {
     id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: this.emailVerified,
     avatar: this.avatar,
     bio: this.bio,
+    role: this.role,
     eventsCreated: extractIds(this.eventsCreated),
     eventsAttending: extractIds(this.eventsAttending),
     savedEvents: extractIds(this.savedEvents),
@@ -150,8 +244,141 @@ userSchema.methods.toPublicProfile = function () {
   };
 };
 
+// Follow another user, updating both sides. Returns false if already
+// following. These are two separate writes, not a transaction (standalone
+// MongoDB servers don't support them), so readers can briefly see one side
+// without the other. The follower side is rolled back if the second write
+// fails.
+userSchema.statics.follow = async function (followerId, targetId) {
+  const result = await this.updateOne(
+    { _id: followerId, following: { $ne: targetId } },
+    { $addToSet: { following: targetId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  try {
+    await this.updateOne(
+      { _id: targetId },
+      { $addToSet: { followers: followerId } }
+    );
+  } catch (error) {
+    await this.updateOne(
+      { _id: followerId },
+      { $pull: { following: targetId } }
+    );
+    throw error;
+  }
+
+  return true;
+};
+
+// Unfollow a user, updating both sides. Returns false if not following.
+userSchema.statics.unfollow = async function (followerId, targetId) {
+  const result = await this.updateOne(
+    { _id: followerId, following: targetId },
+    { $pull: { following: targetId } }
+  );
+
+  // Always clean the target's side in case it was left inconsistent
+  await this.updateOne(
+    { _id: targetId },
+    { $pull: { followers: followerId } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Block a user. Blocked users and their blocker are hidden from each other
+// and can't message each other, so any follows between them are removed.
+// Returns false if already blocked.
+userSchema.statics.block = async function (userId, targetId) {
+  const result = await this.updateOne(
+    { _id: userId, blockedUsers: { $ne: targetId } },
+    { $addToSet: { blockedUsers: targetId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await this.unfollow(userId, targetId);
+  await this.unfollow(targetId, userId);
+  return true;
+};
+
+// Unblock a user. Returns false if they weren't blocked.
+userSchema.statics.unblock = async function (userId, targetId) {
+  const result = await this.updateOne(
+    { _id: userId, blockedUsers: targetId },
+    { $pull: { blockedUsers: targetId } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// IDs of the users hidden from a user: those they blocked and those who
+// blocked them
+userSchema.statics.getBlockedIds = async function (userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select("+blockedUsers").lean(),
+    this.find({ blockedUsers: userId }).distinct("_id"),
+  ]);
+  return [...((user && user.blockedUsers) || []), ...blockers];
+};
+
+// Check whether either of two users blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherId) {
+  return !!(await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId },
+    ],
+  }));
+};
+
+// Hash a calendar feed token for storage and lookup
+const hashCalendarToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Create a new private calendar feed token, replacing any previous one
+userSchema.statics.issueCalendarToken = async function (userId) {
+  const token = crypto.randomBytes(24).toString("hex");
+  await this.updateOne(
+    { _id: userId },
+    { calendarTokenHash: hashCalendarToken(token) }
+  );
+  return token;
+};
+
+// Find the active user a calendar feed token belongs to
+userSchema.statics.findByCalendarToken = function (token) {
+  return this.findOne({
+    calendarTokenHash: hashCalendarToken(token),
+    isActive: true,
+  });
+};
+
 // Create indexes
 userSchema.index({ email: 1 });
 userSchema.index({ name: "text" });
+userSchema.index({ followers: 1 });
+userSchema.index({ following: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ calendarTokenHash: 1 });
+// A provider account can only be linked to one user
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+const User = mongoose.model("User", userSchema);
+
+User.PLATFORM_ROLES = PLATFORM_ROLES;
+User.OAUTH_PROVIDERS = OAUTH_PROVIDERS;
 
-module.exports = mongoose.model("User", userSchema);
+module.exports = User;
@@ -0,0 +1,522 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Event = require("../models/Event");
+const Group = require("../models/Group");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const AuditLog = require("../models/AuditLog");
+const { protect, requireRole } = require("../middleware/auth");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { notify } = require("../services/notifications");
+const { recordAudit } = require("../services/auditLog");
+const { suspendUser } = require("../services/moderation");
+const { deleteEvent, deleteGroup } = require("../services/contentRemoval");
+
+const { PLATFORM_ROLES } = User;
+const USER_STATUSES = ["active", "suspended", "inactive"];
+
+// Platform administration. Moderators can look around, admins can act.
+// Every action is recorded in the audit log without a group.
+router.use(protect);
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper to load a document by the ID in req.params.id, replying 404 if
+// there is none
+const findById = async (Model, req, res, label, select) => {
+  let document = null;
+  if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+    const query = Model.findById(req.params.id);
+    document = await (select ? query.select(select) : query);
+  }
+
+  if (!document) {
+    res.status(404).json({ success: false, message: `${label} not found` });
+  }
+  return document;
+};
+
+// Helper to record an action on the platform audit log
+const recordAdminAction = (req, action, targetType, target, details) =>
+  recordAudit({
+    actor: req.user._id,
+    action,
+    group: null,
+    targetType,
+    target,
+    details,
+  });
+
+// Get platform stats
+router.get("/stats", requireRole("moderator"), async (req, res) => {
+  try {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [
+      users,
+      activeUsers,
+      suspendedUsers,
+      newUsers,
+      usersByRole,
+      eventsByStatus,
+      groups,
+      privateGroups,
+      posts,
+      comments,
+      messages,
+      openReports,
+      pendingAppeals,
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ "suspension.suspendedAt": { $ne: null } }),
+      User.countDocuments({ createdAt: { $gte: weekAgo } }),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+      Event.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Group.countDocuments(),
+      Group.countDocuments({ isPrivate: true }),
+      Post.countDocuments(),
+      Comment.countDocuments(),
+      Message.countDocuments(),
+      Report.countDocuments({ status: "open" }),
+      Report.countDocuments({ "appeal.status": "pending" }),
+    ]);
+
+    // Turn [{ _id, count }] into { [_id]: count }. Documents from before a
+    // field existed are counted under its default.
+    const toCounts = (results, fallback) =>
+      results.reduce((counts, { _id, count }) => {
+        const key = _id || fallback;
+        counts[key] = (counts[key] || 0) + count;
+        return counts;
+      }, {});
+
+    res.json({
+      success: true,
+      stats: {
+        users: {
+          total: users,
+          active: activeUsers,
+          suspended: suspendedUsers,
+          newThisWeek: newUsers,
+          byRole: toCounts(usersByRole, "user"),
+        },
+        events: {
+          total: eventsByStatus.reduce((sum, item) => sum + item.count, 0),
+          byStatus: toCounts(eventsByStatus, "published"),
+        },
+        groups: { total: groups, private: privateGroups },
+        posts,
+        comments,
+        messages,
+        reports: { open: openReports, pendingAppeals },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching platform stats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching platform stats",
+      error: error.message,
+    });
+  }
+});
+
+// List and search users, newest first
+// Query: search (name or email), role, status (active, suspended or
+// inactive), limit, cursor
+router.get("/users", requireRole("moderator"), async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+
+    if (role && !PLATFORM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${PLATFORM_ROLES.join(", ")}`,
+      });
+    }
+
+    if (status && !USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${USER_STATUSES.join(", ")}`,
+      });
+    }
+
+    const sortFields = parseSort("-createdAt");
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (status === "active") filter.isActive = true;
+    if (status === "suspended") {
+      filter["suspension.suspendedAt"] = { $ne: null };
+    }
+    if (status === "inactive") filter.isActive = false;
+
+    const results = await User.find(
+      applyCursor(filter, pagination.cursorFilter)
+    )
+      .select("name email avatar role isActive suspension lastSeenAt createdAt")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: items.length,
+      users: items,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing users",
+      error: error.message,
+    });
+  }
+});
+
+// Change a user's platform role
+// Body: { role: "user" | "moderator" | "admin" }
+router.patch("/users/:id/role", requireRole("admin"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!PLATFORM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${PLATFORM_ROLES.join(", ")}`,
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't change your own role",
+      });
+    }
+
+    const user = await findById(User, req, res, "User", "name role");
+    if (!user) return;
+
+    await User.updateOne({ _id: user._id }, { role });
+
+    await recordAdminAction(req, "role_changed", "User", user._id, {
+      from: user.role,
+      to: role,
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} is now a ${role}`,
+      user: { _id: user._id, name: user.name, role },
+    });
+  } catch (error) {
+    console.error("Error changing user role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error changing user role",
+      error: error.message,
+    });
+  }
+});
+
+// Suspend an account: it's deactivated, its sessions are revoked and its
+// sockets disconnected
+// Body: { reason }
+router.post("/users/:id/suspend", requireRole("admin"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please give a reason for the suspension",
+      });
+    }
+
+    const user = await findById(User, req, res, "User", "name role isActive");
+    if (!user) return;
+
+    if (user.role === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "Admins can't be suspended, change their role first",
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "This account is already inactive",
+      });
+    }
+
+    await suspendUser(
+      user._id,
+      { reason: reason.trim(), moderator: req.user },
+      req.app.get("realtime")
+    );
+
+    await recordAdminAction(req, "user_suspended", "User", user._id, {
+      reason: reason.trim(),
+    });
+
+    res.json({ success: true, message: `${user.name} has been suspended` });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error suspending user",
+      error: error.message,
+    });
+  }
+});
+
+// Reactivate a suspended or deactivated account
+router.post("/users/:id/reactivate", requireRole("admin"), async (req, res) => {
+  try {
+    const user = await findById(User, req, res, "User", "name isActive");
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "This account is already active",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { isActive: true, $unset: { suspension: 1 } }
+    );
+
+    await recordAdminAction(req, "user_reactivated", "User", user._id);
+
+    res.json({ success: true, message: `${user.name} has been reactivated` });
+  } catch (error) {
+    console.error("Error reactivating user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reactivating user",
+      error: error.message,
+    });
+  }
+});
+
+// Helper to list the users told when an admin cancels or removes an event
+const eventAudience = (event) => [
+  event.creator,
+  ...event.coHosts.map((coHost) => coHost.user),
+  ...event.attendeesList,
+];
+
+// Cancel any event that hasn't ended. Its hosts and attendees are told.
+// Body: { reason }
+router.post("/events/:id/cancel", requireRole("admin"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const note = reason ? `: ${reason}` : "";
+
+    const event = await findById(Event, req, res, "Event");
+    if (!event) return;
+
+    if (event.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Event is already cancelled",
+      });
+    }
+
+    if (event.status === "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Event has already ended",
+      });
+    }
+
+    const previousStatus = event.status;
+    event.status = "cancelled";
+    await event.save();
+
+    await recordAdminAction(req, "event_cancelled", "Event", event._id, {
+      from: previousStatus,
+      reason,
+    });
+
+    await notify({
+      type: "event_cancelled",
+      recipients: eventAudience(event),
+      text: `${event.title} on ${event.date} has been cancelled by the platform team${note}`,
+      event: event._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Event cancelled",
+      event,
+    });
+  } catch (error) {
+    console.error("Error cancelling event:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling event",
+      error: error.message,
+    });
+  }
+});
+
+// Delete any event, with its chat and tickets
+// Body: { reason }
+router.delete("/events/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const note = reason ? `: ${reason}` : "";
+
+    const event = await findById(Event, req, res, "Event");
+    if (!event) return;
+
+    await deleteEvent(event, req.app.get("realtime"));
+
+    await recordAdminAction(req, "event_deleted", "Event", event._id, {
+      title: event.title,
+      creator: event.creator,
+      reason,
+    });
+
+    await notify({
+      type: "event_cancelled",
+      recipients: eventAudience(event),
+      text: `${event.title} on ${event.date} has been removed by the platform team${note}`,
+    });
+
+    res.json({ success: true, message: "Event deleted" });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting event",
+      error: error.message,
+    });
+  }
+});
+
+// Delete any group, with its posts, comments and chat. Its upcoming events
+// are cancelled.
+// Body: { reason }
+router.delete("/groups/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const group = await findById(Group, req, res, "Group");
+    if (!group) return;
+
+    const cancelledEvents = await deleteGroup(
+      group,
+      req.app.get("realtime"),
+      null
+    );
+
+    await recordAdminAction(req, "group_deleted", "Group", group._id, {
+      name: group.name,
+      creator: group.creator,
+      memberCount: group.members.length,
+      cancelledEvents,
+      reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Group deleted",
+      cancelledEvents,
+    });
+  } catch (error) {
+    console.error("Error deleting group:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting group",
+      error: error.message,
+    });
+  }
+});
+
+// Get the platform audit log (entries without a group), newest first
+// Query: action, actor, limit, cursor
+router.get("/audit-log", requireRole("admin"), async (req, res) => {
+  try {
+    const { action, actor } = req.query;
+
+    const sortFields = parseSort("-createdAt");
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    const filter = { group: null };
+    if (action) filter.action = action;
+    if (actor && mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+
+    const results = await AuditLog.find(
+      applyCursor(filter, pagination.cursorFilter)
+    )
+      .populate("actor", "name avatar")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: items.length,
+      entries: items,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching audit log",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
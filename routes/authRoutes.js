@@ -1,7 +1,106 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const { generateToken, protect } = require("../middleware/auth");
+const Session = require("../models/Session");
+const {
+  issueTokens,
+  refreshTokens,
+  protect,
+  generateAppealToken,
+} = require("../middleware/auth");
+const { sendMailInBackground } = require("../services/mail");
+const {
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  PASSWORD_RESET_EXPIRES_IN,
+  createEmailVerificationToken,
+  findUserByEmailVerificationToken,
+  createPasswordResetToken,
+  findUserByPasswordResetToken,
+} = require("../services/accountTokens");
+const {
+  getProvider,
+  getEnabledProviders,
+  verifyOAuthCredential,
+  findOrCreateOAuthUser,
+  findUserByIdentity,
+  linkIdentity,
+  unlinkIdentity,
+} = require("../services/oauth");
+
+// Unverified accounts can't log in when this is on
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Register reply while the address is unconfirmed. It's also sent for
+// addresses that already have an account, so it can't include the user.
+const REGISTERED_UNVERIFIED = {
+  success: true,
+  message: "Check your email to confirm your address and finish registering",
+};
+
+// Disconnect Socket.io clients in a room after their sessions are revoked
+const disconnectSockets = (req, room) => {
+  const realtime = req.app.get("realtime");
+  if (realtime) {
+    realtime
+      .disconnect(room)
+      .catch((error) => console.error("Error disconnecting sockets:", error));
+  }
+};
+
+// Base URL of the API, for links in emails
+const getApiUrl = (req) => {
+  const url = process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  return url.replace(/\/$/, "");
+};
+
+// Base URL of the client app, whose reset page reads the token from the
+// link and posts it to /reset-password
+const getAppUrl = (req) =>
+  (process.env.APP_URL || getApiUrl(req)).replace(/\/$/, "");
+
+// Email a user a link to confirm their address. Emails are sent in the
+// background, so replies don't wait on the mail server.
+const sendVerificationEmail = (req, user) => {
+  const token = createEmailVerificationToken(user);
+  sendMailInBackground(user.email, "verifyEmail", {
+    name: user.name,
+    url: `${getApiUrl(req)}/api/auth/verify-email?token=${token}`,
+    expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+  });
+};
+
+// Tell a user their password changed, in case it wasn't them
+const sendPasswordChangedEmail = (user) =>
+  sendMailInBackground(user.email, "passwordChanged", { name: user.name });
+
+// The providers linked to a user's account, only shown to the user
+const formatIdentities = (user) =>
+  (user.identities || []).map((identity) => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt,
+  }));
+
+// A user's profile as they see it themselves
+const toOwnProfile = (user) => ({
+  ...user.toPublicProfile(),
+  identities: formatIdentities(user),
+});
+
+// Reply to a suspended user who proved who they are, with a token that
+// only lets them appeal
+const sendSuspended = (res, user) =>
+  res.status(403).json({
+    success: false,
+    error: "Account is suspended",
+    suspended: true,
+    suspension: {
+      reason: user.suspension.reason,
+      suspendedAt: user.suspension.suspendedAt,
+    },
+    appealToken: generateAppealToken(user._id),
+  });
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -18,8 +117,16 @@ router.post("/register", async (req, res) => {
       });
     }
 
-    // Check if user already exists
+    // Check if user already exists. When addresses have to be confirmed the
+    // reply is the same either way, and the owner gets an email instead, so
+    // register doesn't reveal which addresses have accounts.
     const existingUser = await User.findOne({ email });
+    if (existingUser && REQUIRE_EMAIL_VERIFICATION) {
+      sendMailInBackground(existingUser.email, "accountExists", {
+        name: existingUser.name,
+      });
+      return res.status(201).json(REGISTERED_UNVERIFIED);
+    }
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -34,13 +141,20 @@ router.post("/register", async (req, res) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    sendVerificationEmail(req, user);
+
+    // Without a confirmed address there's nothing to log in with yet
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json(REGISTERED_UNVERIFIED);
+    }
+
+    // Start a session and generate tokens
+    const tokens = await issueTokens(user._id, req);
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
-      token,
+      ...tokens,
       user: user.toPublicProfile(),
     });
   } catch (error) {
@@ -80,6 +194,14 @@ router.post("/login", async (req, res) => {
 
     // Check if account is active
     if (!user.isActive) {
+      // Suspended users who know their password can still appeal
+      if (
+        user.suspension?.suspendedAt &&
+        (await user.comparePassword(password))
+      ) {
+        return sendSuspended(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         error: "Account is inactive",
@@ -96,14 +218,22 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: "Please confirm your email address before logging in",
+        emailVerified: false,
+      });
+    }
+
+    // Start a session and generate tokens
+    const tokens = await issueTokens(user._id, req);
 
     res.json({
       success: true,
       message: "Login successful",
-      token,
-      user: user.toPublicProfile(),
+      ...tokens,
+      user: toOwnProfile(user),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -115,6 +245,453 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/oauth/providers
+// @desc    List the providers users can sign in with
+// @access  Public
+router.get("/oauth/providers", (req, res) => {
+  res.json({
+    success: true,
+    providers: getEnabledProviders(),
+  });
+});
+
+// @route   POST /api/auth/oauth/:provider
+// @desc    Sign in with Google, Apple or GitHub, creating an account or
+//          linking one with the same confirmed email on first use
+//          Body: { idToken, nonce, name } for google and apple,
+//          { code, redirectUri } for github
+// @access  Public
+router.post("/oauth/:provider", async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const { profile, error, status } = await verifyOAuthCredential(
+      provider,
+      req.body
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const result = await findOrCreateOAuthUser(
+      provider,
+      profile,
+      req.body.name
+    );
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+    const { user, isNewUser } = result;
+
+    // Signing in with the provider proves who they are, like a password
+    if (!user.isActive) {
+      if (user.suspension?.suspendedAt) {
+        return sendSuspended(res, user);
+      }
+      return res.status(401).json({
+        success: false,
+        error: "Account is inactive",
+      });
+    }
+
+    // The provider didn't confirm the address, so we do
+    if (isNewUser && !user.emailVerified) {
+      sendVerificationEmail(req, user);
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: "Please confirm your email address before logging in",
+        emailVerified: false,
+      });
+    }
+
+    // Start a session and generate tokens
+    const tokens = await issueTokens(user._id, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? "User registered successfully" : "Login successful",
+      isNewUser,
+      ...tokens,
+      user: toOwnProfile(user),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    // A parallel sign-in created the account or linked the provider first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "Account was just created, please try again",
+      });
+    }
+    console.error("OAuth sign-in error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error signing in",
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email?token=
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification
+//          email (the link opens the GET route)
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body.token;
+
+    const user = token ? await findUserByEmailVerificationToken(token) : null;
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "This link is invalid or has expired",
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Email address confirmed",
+      user: user.toPublicProfile(),
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error confirming email address",
+      message: error.message,
+    });
+  }
+};
+
+router.get("/verify-email", verifyEmail);
+router.post("/verify-email", verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send the verification email again. The reply is the same whether
+//          or not the address has an account.
+// @access  Public
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide an email",
+      });
+    }
+
+    const user = await User.findOne({
+      email: String(email).toLowerCase().trim(),
+      isActive: true,
+    });
+    if (user && !user.emailVerified) {
+      sendVerificationEmail(req, user);
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If that address has an unconfirmed account, a new link is on its way",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error sending verification email",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The reply is the same whether or not
+//          the address has an account.
+// @access  Public
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide an email",
+      });
+    }
+
+    const user = await User.findOne({
+      email: String(email).toLowerCase().trim(),
+      isActive: true,
+    }).select("+password");
+
+    if (user) {
+      const token = createPasswordResetToken(user);
+      sendMailInBackground(user.email, "resetPassword", {
+        name: user.name,
+        url: `${getAppUrl(req)}/reset-password?token=${token}`,
+        expiresIn: PASSWORD_RESET_EXPIRES_IN,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "If that address has an account, a reset link is on its way",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error sending password reset email",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email. Every
+//          session is revoked and this device gets a new one.
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide the reset token and a new password",
+      });
+    }
+
+    const user = await findUserByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "This link is invalid, has expired or was already used",
+      });
+    }
+
+    user.password = password;
+    // Receiving the email proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.revokeAll(user._id);
+    disconnectSockets(req, `user:${user._id}`);
+    sendPasswordChangedEmail(user);
+    const tokens = await issueTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: "Password reset successfully",
+      ...tokens,
+      user: toOwnProfile(user),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error resetting password",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide a refresh token",
+      });
+    }
+
+    const { error, userId, ...tokens } = await refreshTokens(refreshToken);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error,
+      });
+    }
+
+    // Deactivated accounts can't keep refreshing
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      await Session.revokeAll(userId);
+      return res.status(401).json({
+        success: false,
+        error: "Account is inactive",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error refreshing token",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post("/logout", protect, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    await req.authSession.save();
+    disconnectSockets(req, `session:${req.authSession._id}`);
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error logging out",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of every session on all devices
+// @access  Private
+router.post("/logout-all", protect, async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeAll(req.user._id);
+    disconnectSockets(req, `user:${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: "Logged out of all devices",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error logging out of all devices",
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error fetching sessions",
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:sessionId", protect, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+      });
+    }
+
+    disconnectSockets(req, `session:${session._id}`);
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error revoking session",
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -127,7 +704,7 @@ router.get("/me", protect, async (req, res) => {
 
     res.json({
       success: true,
-      user: user.toPublicProfile(),
+      user: toOwnProfile(user),
     });
   } catch (error) {
     console.error("Get user error:", error);
@@ -159,7 +736,7 @@ router.put("/updateprofile", protect, async (req, res) => {
     res.json({
       success: true,
       message: "Profile updated successfully",
-      user: user.toPublicProfile(),
+      user: toOwnProfile(user),
     });
   } catch (error) {
     console.error("Update profile error:", error);
@@ -172,38 +749,83 @@ router.put("/updateprofile", protect, async (req, res) => {
 });
 
 // @route   PUT /api/auth/changepassword
-// @desc    Change user password
+// @desc    Change user password, or set a first one for accounts created
+//          with a sign-in provider
+//          Body: { currentPassword, newPassword }, or without a password
+//          { newPassword, provider, ...credential as for sign-in }
 // @access  Private
 router.put("/changepassword", protect, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        error: "Please provide current and new password",
-      });
-    }
+    const { currentPassword, newPassword, provider } = req.body;
 
     // Get user with password
     const user = await User.findById(req.user._id).select("+password");
 
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        error: "Current password is incorrect",
-      });
+    if (user.password) {
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: "Please provide current and new password",
+        });
+      }
+
+      // Check current password
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: "Current password is incorrect",
+        });
+      }
+    } else {
+      // Accounts created with a sign-in provider prove who they are by
+      // signing in with a linked provider again, so an access token alone
+      // can't be turned into a password
+      if (!newPassword || !provider) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Please provide a new password and sign in again with a linked provider",
+        });
+      }
+
+      const { profile, error, status } = await verifyOAuthCredential(
+        provider,
+        req.body
+      );
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error,
+        });
+      }
+
+      const isLinked = user.identities.some(
+        (identity) =>
+          identity.provider === provider && identity.subject === profile.subject
+      );
+      if (!isLinked) {
+        return res.status(401).json({
+          success: false,
+          error: "That account isn't linked to yours",
+        });
+      }
     }
 
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Old tokens stop working everywhere, this device gets a new session
+    await Session.revokeAll(user._id);
+    disconnectSockets(req, `user:${user._id}`);
+    const tokens = await issueTokens(user._id, req);
+    sendPasswordChangedEmail(user);
+
     res.json({
       success: true,
       message: "Password changed successfully",
+      ...tokens,
     });
   } catch (error) {
     console.error("Change password error:", error);
@@ -215,6 +837,128 @@ router.put("/changepassword", protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/identities
+// @desc    List the providers linked to the current user's account
+// @access  Private
+router.get("/identities", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+
+    res.json({
+      success: true,
+      hasPassword: !!user.password,
+      identities: formatIdentities(user),
+      available: getEnabledProviders(),
+    });
+  } catch (error) {
+    console.error("Get identities error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error fetching linked accounts",
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/identities/:provider
+// @desc    Link a provider account to the current user so they can sign in
+//          with it. Body as for POST /api/auth/oauth/:provider.
+// @access  Private
+router.post("/identities/:provider", protect, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const { profile, error, status } = await verifyOAuthCredential(
+      provider,
+      req.body
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const { name } = getProvider(provider);
+    const owner = await findUserByIdentity(provider, profile.subject);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        error:
+          owner._id.toString() === req.user._id.toString()
+            ? `This ${name} account is already linked`
+            : `This ${name} account is linked to another user`,
+      });
+    }
+
+    if (!(await linkIdentity(req.user, provider, profile))) {
+      return res.status(409).json({
+        success: false,
+        error: `Unlink your other ${name} account first`,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${name} account linked`,
+      user: toOwnProfile(user),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "This account is linked to another user",
+      });
+    }
+    console.error("Link identity error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error linking account",
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/identities/:provider
+// @desc    Unlink a provider from the current user's account. Accounts
+//          without a password keep at least one provider.
+// @access  Private
+router.delete("/identities/:provider", protect, async (req, res) => {
+  try {
+    if (!User.OAUTH_PROVIDERS.includes(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        error: "Unknown provider",
+      });
+    }
+
+    const error = await unlinkIdentity(req.user._id, req.params.provider);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Account unlinked",
+      user: toOwnProfile(user),
+    });
+  } catch (error) {
+    console.error("Unlink identity error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error unlinking account",
+      message: error.message,
+    });
+  }
+});
+
 // @route   GET /api/auth/user/:id
 // @desc    Get user profile by ID
 // @access  Public
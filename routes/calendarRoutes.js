@@ -0,0 +1,175 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const Group = require("../models/Group");
+const { protect } = require("../middleware/auth");
+const { buildCalendar } = require("../utils/ical");
+
+// Feeds include events from this many days back, plus everything upcoming
+const FEED_PAST_DAYS = 30;
+const MAX_FEED_EVENTS = 500;
+
+const EVENT_CATEGORIES = Event.schema.path("category").enumValues;
+
+// Helper to load the events of a feed. Drafts and hidden events are never
+// published.
+const findFeedEvents = (filter) =>
+  Event.find({
+    ...filter,
+    status: { $ne: "draft" },
+    isHidden: { $ne: true },
+    dateTime: {
+      $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000),
+    },
+  })
+    .select("-attendeesList -waitlist")
+    .sort({ dateTime: 1 })
+    .limit(MAX_FEED_EVENTS)
+    .lean();
+
+// Helper to send a calendar feed
+const sendFeed = (res, events, name) => {
+  res.type("text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  res.send(buildCalendar(events, { name }));
+};
+
+// Helper to build the public URL of a feed path
+const getFeedUrl = (req, path) => {
+  const baseUrl =
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl.replace(/\/$/, "")}/api/calendar${path}`;
+};
+
+// Create (or replace) the current user's private feed URL. The previous
+// URL stops working.
+router.post("/token", protect, async (req, res) => {
+  try {
+    const token = await User.issueCalendarToken(req.user._id);
+    const url = getFeedUrl(req, `/users/${token}.ics`);
+
+    res.status(201).json({
+      success: true,
+      url,
+      webcalUrl: url.replace(/^https?:/, "webcal:"),
+    });
+  } catch (error) {
+    console.error("Error creating calendar token:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create calendar feed",
+      message: error.message,
+    });
+  }
+});
+
+// Turn off the current user's private feed
+router.delete("/token", protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { calendarTokenHash: null });
+
+    res.json({
+      success: true,
+      message: "Calendar feed disabled",
+    });
+  } catch (error) {
+    console.error("Error removing calendar token:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to disable calendar feed",
+      message: error.message,
+    });
+  }
+});
+
+// Private feed of the events a user attends or saved. The token in the URL
+// is the only credential, calendar apps can't send an access token.
+router.get("/users/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token).select(
+      "name eventsAttending savedEvents"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Calendar feed not found",
+      });
+    }
+
+    const events = await findFeedEvents({
+      _id: { $in: [...user.eventsAttending, ...user.savedEvents] },
+    });
+
+    sendFeed(res, events, `${user.name}'s events`);
+  } catch (error) {
+    console.error("Error building user calendar feed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build calendar feed",
+      message: error.message,
+    });
+  }
+});
+
+// Public feed of a group's events
+router.get("/groups/:groupId.ics", async (req, res) => {
+  try {
+    const group = mongoose.Types.ObjectId.isValid(req.params.groupId)
+      ? await Group.findById(req.params.groupId).select("name isPrivate")
+      : null;
+
+    if (!group || group.isPrivate) {
+      return res.status(404).json({
+        success: false,
+        error: "Calendar feed not found",
+      });
+    }
+
+    const events = await findFeedEvents({
+      group: group._id,
+      membersOnly: { $ne: true },
+    });
+
+    sendFeed(res, events, group.name);
+  } catch (error) {
+    console.error("Error building group calendar feed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build calendar feed",
+      message: error.message,
+    });
+  }
+});
+
+// Public feed of the events in a category
+router.get("/categories/:category.ics", async (req, res) => {
+  try {
+    const { category } = req.params;
+
+    if (!EVENT_CATEGORIES.includes(category)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown category. Must be one of: ${EVENT_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    const events = await findFeedEvents({
+      category,
+      membersOnly: { $ne: true },
+    });
+
+    sendFeed(res, events, `${category} events`);
+  } catch (error) {
+    console.error("Error building category calendar feed:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build calendar feed",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
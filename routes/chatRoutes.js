@@ -1,8 +1,66 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Message = require("../models/Message");
 const User = require("../models/User");
 const { protect } = require("../middleware/auth");
+const {
+  getRoomName,
+  validateRoom,
+  canAccessRoom,
+  getRoomsForUser,
+} = require("../services/chatRooms");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { notify } = require("../services/notifications");
+
+// Maximum number of users in one presence request
+const MAX_PRESENCE_USERS = 100;
+
+// Helper to get presence for several users. Offline users the realtime
+// adapter has no record of get their last seen time from the database.
+const getPresenceFor = async (realtime, userIds) => {
+  const results = await Promise.all(
+    userIds.map((id) => realtime.getPresence(id))
+  );
+
+  const missing = results
+    .filter((p) => p.status === "offline" && !p.lastSeen)
+    .map((p) => p.userId);
+
+  if (missing.length > 0) {
+    const users = await User.find({ _id: { $in: missing } })
+      .select("lastSeenAt")
+      .lean();
+    const lastSeenById = new Map(
+      users.map((user) => [user._id.toString(), user.lastSeenAt])
+    );
+    results.forEach((p) => {
+      if (!p.lastSeen) {
+        p.lastSeen = lastSeenById.get(p.userId) || null;
+      }
+    });
+  }
+
+  return results;
+};
+
+// Query filter for the messages a user can see: hidden messages stay
+// visible to their sender, who may want to appeal
+const visibleMessagesFilter = (userId) => ({
+  $or: [{ isHidden: { $ne: true } }, { sender: userId }],
+});
+
+// Query filter for the room messages a user can see, which also leaves out
+// messages from users blocked either way
+const visibleRoomMessagesFilter = async (userId) => ({
+  sender: { $nin: await User.getBlockedIds(userId) },
+  ...visibleMessagesFilter(userId),
+});
 
 // Get all conversations for a user
 router.get("/conversations", protect, async (req, res) => {
@@ -10,13 +68,23 @@ router.get("/conversations", protect, async (req, res) => {
     const userId = req.user._id;
 
     // Get all messages where user is sender or receiver
+    // Direct messages only, room messages are listed under /rooms
     const messages = await Message.find({
-      $or: [{ sender: userId }, { receiver: userId }],
+      roomId: null,
+      $and: [
+        { $or: [{ sender: userId }, { receiver: userId }] },
+        visibleMessagesFilter(userId),
+      ],
     })
       .populate("sender", "name avatar")
       .populate("receiver", "name avatar")
       .sort({ createdAt: -1 });
 
+    // Conversations with users blocked either way are left out
+    const blocked = new Set(
+      (await User.getBlockedIds(userId)).map((id) => id.toString())
+    );
+
     // Group by conversation partner
     const conversationsMap = new Map();
 
@@ -26,6 +94,8 @@ router.get("/conversations", protect, async (req, res) => {
           ? msg.receiver._id.toString()
           : msg.sender._id.toString();
 
+      if (blocked.has(partnerId)) return;
+
       if (!conversationsMap.has(partnerId)) {
         const partner =
           msg.sender._id.toString() === userId.toString()
@@ -47,6 +117,14 @@ router.get("/conversations", protect, async (req, res) => {
 
     const conversations = Array.from(conversationsMap.values());
 
+    // Add partner presence so the list can show online dots
+    const presences = await getPresenceFor(req.app.get("realtime"), [
+      ...conversationsMap.keys(),
+    ]);
+    conversations.forEach((conversation, index) => {
+      conversation.presence = presences[index];
+    });
+
     res.json({
       success: true,
       conversations,
@@ -61,21 +139,117 @@ router.get("/conversations", protect, async (req, res) => {
   }
 });
 
+// Get presence (online, away, offline + last seen) for a list of users.
+// Only conversation partners' presence is shared, everyone else (and users
+// blocked either way) shows as offline without a last seen time.
+router.get("/presence", protect, async (req, res) => {
+  try {
+    const userIds = String(req.query.userIds || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "userIds must be a comma-separated list of user IDs",
+      });
+    }
+
+    if (userIds.length > MAX_PRESENCE_USERS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_PRESENCE_USERS} users per request`,
+      });
+    }
+
+    const [partnerIds, blockedIds] = await Promise.all([
+      Message.getConversationPartnerIds(req.user._id),
+      User.getBlockedIds(req.user._id),
+    ]);
+    const blocked = new Set(blockedIds.map((id) => id.toString()));
+    const visible = new Set(partnerIds.filter((id) => !blocked.has(id)));
+    const requested = [...new Set(userIds)];
+    const presences = await getPresenceFor(
+      req.app.get("realtime"),
+      requested.filter((id) => visible.has(id))
+    );
+    const presenceById = new Map(presences.map((p) => [p.userId, p]));
+
+    res.json({
+      success: true,
+      presence: requested.map(
+        (id) =>
+          presenceById.get(id) || {
+            userId: id,
+            status: "offline",
+            lastSeen: null,
+          }
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching presence:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching presence",
+      error: error.message,
+    });
+  }
+});
+
 // Get chat history with a specific user
 router.get("/messages/:userId", protect, async (req, res) => {
   try {
     const currentUserId = req.user._id;
     const otherUserId = req.params.userId;
 
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, receiver: otherUserId },
-        { sender: otherUserId, receiver: currentUserId },
-      ],
-    })
+    if (await User.isBlockedBetween(currentUserId, otherUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't view messages with this user",
+      });
+    }
+
+    // Pages go back in time from the newest message, nextCursor loads
+    // older messages. Each page is returned oldest first.
+    const sortFields = parseSort("-createdAt");
+    const pagination = parsePagination(req.query, sortFields, {
+      defaultLimit: 50,
+    });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    const results = await Message.find(
+      applyCursor(
+        {
+          $and: [
+            {
+              $or: [
+                { sender: currentUserId, receiver: otherUserId },
+                { sender: otherUserId, receiver: currentUserId },
+              ],
+            },
+            visibleMessagesFilter(currentUserId),
+          ],
+        },
+        pagination.cursorFilter
+      )
+    )
       .populate("sender", "name avatar")
       .populate("receiver", "name avatar")
-      .sort({ createdAt: 1 });
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+    const messages = items.reverse();
 
     // Mark messages as read
     await Message.updateMany(
@@ -86,6 +260,8 @@ router.get("/messages/:userId", protect, async (req, res) => {
     res.json({
       success: true,
       messages,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error("Error fetching messages:", error);
@@ -110,6 +286,13 @@ router.post("/send", protect, async (req, res) => {
       });
     }
 
+    if (await User.isBlockedBetween(sender, receiver)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't message this user",
+      });
+    }
+
     const newMessage = await Message.create({
       sender,
       receiver,
@@ -119,6 +302,17 @@ router.post("/send", protect, async (req, res) => {
     await newMessage.populate("sender", "name avatar");
     await newMessage.populate("receiver", "name avatar");
 
+    // Offline receivers find the message in their notifications
+    if (!(await req.app.get("realtime").isOnline(receiver))) {
+      await notify({
+        type: "new_message",
+        recipients: receiver,
+        actor: sender,
+        text: `New message from ${req.user.name}`,
+        message: newMessage._id,
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: newMessage,
@@ -133,6 +327,177 @@ router.post("/send", protect, async (req, res) => {
   }
 });
 
+// Get the group and event chat rooms the user can access
+router.get("/rooms", protect, async (req, res) => {
+  try {
+    const rooms = await getRoomsForUser(req.user._id);
+
+    // Attach the latest message of each room
+    const lastMessages = await Message.aggregate([
+      {
+        $match: {
+          roomId: { $in: rooms.map((room) => room.roomId) },
+          ...(await visibleRoomMessagesFilter(req.user._id)),
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: "$roomId", lastMessage: { $first: "$$ROOT" } } },
+    ]);
+    const lastMessageByRoom = new Map(
+      lastMessages.map((item) => [item._id.toString(), item.lastMessage])
+    );
+
+    rooms.forEach((room) => {
+      room.lastMessage = lastMessageByRoom.get(room.roomId.toString()) || null;
+    });
+
+    res.json({
+      success: true,
+      rooms,
+    });
+  } catch (error) {
+    console.error("Error fetching rooms:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching rooms",
+      error: error.message,
+    });
+  }
+});
+
+// Helper middleware to check access to the room in the URL
+const checkRoomAccess = async (req, res, next) => {
+  try {
+    const { roomType, roomId } = req.params;
+
+    const roomError = validateRoom(roomType, roomId);
+    if (roomError) {
+      return res.status(400).json({
+        success: false,
+        message: roomError,
+      });
+    }
+
+    if (!(await canAccessRoom(req.user._id, roomType, roomId))) {
+      return res.status(403).json({
+        success: false,
+        message: "You must be a member or attendee to use this chat room",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking room access:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error checking room access",
+      error: error.message,
+    });
+  }
+};
+
+// Get room message history (paginated like direct messages)
+router.get(
+  "/rooms/:roomType/:roomId/messages",
+  protect,
+  checkRoomAccess,
+  async (req, res) => {
+    try {
+      const { roomType, roomId } = req.params;
+
+      const sortFields = parseSort("-createdAt");
+      const pagination = parsePagination(req.query, sortFields, {
+        defaultLimit: 50,
+      });
+      if (pagination.error) {
+        return res.status(400).json({
+          success: false,
+          message: pagination.error,
+        });
+      }
+
+      const results = await Message.find(
+        applyCursor(
+          {
+            roomType,
+            roomId,
+            ...(await visibleRoomMessagesFilter(req.user._id)),
+          },
+          pagination.cursorFilter
+        )
+      )
+        .populate("sender", "name avatar")
+        .sort(pagination.sort)
+        .limit(pagination.limit + 1);
+
+      const { items, nextCursor, hasMore } = buildPage(
+        results,
+        pagination.limit,
+        sortFields
+      );
+
+      res.json({
+        success: true,
+        messages: items.reverse(),
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      console.error("Error fetching room messages:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching room messages",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Send a message to a room (REST fallback, mainly use Socket.io)
+router.post(
+  "/rooms/:roomType/:roomId/messages",
+  protect,
+  checkRoomAccess,
+  async (req, res) => {
+    try {
+      const { roomType, roomId } = req.params;
+      const { message } = req.body;
+
+      if (!message) {
+        return res.status(400).json({
+          success: false,
+          message: "Message is required",
+        });
+      }
+
+      const newMessage = await Message.create({
+        sender: req.user._id,
+        roomType,
+        roomId,
+        message,
+      });
+      await newMessage.populate("sender", "name avatar");
+
+      // Deliver to everyone in the room in real time
+      await req.app
+        .get("realtime")
+        .emit(getRoomName(roomType, roomId), "newRoomMessage", newMessage);
+
+      res.status(201).json({
+        success: true,
+        message: newMessage,
+      });
+    } catch (error) {
+      console.error("Error sending room message:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error sending room message",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Delete a message
 router.delete("/messages/:messageId", protect, async (req, res) => {
   try {
@@ -177,9 +542,12 @@ router.get("/unread-count", protect, async (req, res) => {
   try {
     const userId = req.user._id;
 
+    // Messages from users blocked either way aren't listed, so don't count
+    // them either
     const unreadCount = await Message.countDocuments({
       receiver: userId,
       read: false,
+      sender: { $nin: await User.getBlockedIds(userId) },
     });
 
     res.json({
@@ -209,8 +577,10 @@ router.get("/search-users", protect, async (req, res) => {
       });
     }
 
+    // Exclude current user and users blocked either way
+    const blockedIds = await User.getBlockedIds(currentUserId);
     const users = await User.find({
-      _id: { $ne: currentUserId }, // Exclude current user
+      _id: { $nin: [currentUserId, ...blockedIds] },
       $or: [
         { name: { $regex: query, $options: "i" } },
         { email: { $regex: query, $options: "i" } },
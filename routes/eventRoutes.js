@@ -1,8 +1,61 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Event = require("../models/Event");
 const User = require("../models/User");
+const Ticket = require("../models/Ticket");
+const Group = require("../models/Group");
 const { protect, optionalAuth } = require("../middleware/auth");
+const {
+  validateRecurrence,
+  normalizeRecurrence,
+  expandRecurrence,
+} = require("../utils/recurrence");
+const {
+  DEFAULT_TIMEZONE,
+  RELATIVE_RANGES,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  isValidDateString,
+  parseLocalDateTime,
+  getRelativeDateRange,
+} = require("../utils/time");
+const { parseLatLng, parseBoundingBox } = require("../utils/geo");
+const { buildCalendar } = require("../utils/ical");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { removeUserFromRoom } = require("../services/chatRooms");
+const { deleteEvent } = require("../services/contentRemoval");
+const { notify } = require("../services/notifications");
+const { notEndedFilter } = require("../services/eventLifecycle");
+const {
+  EVENT_PERMISSIONS,
+  isEventOwner,
+  getCoHost,
+  hasEventPermission,
+  eventPermissionFilter,
+  getUsersWithPermission,
+  authorizeEvent,
+} = require("../services/eventPermissions");
+const { isGroupAdmin } = require("../services/groupAccess");
+const {
+  visibleEventsFilter,
+  canViewEvent,
+  notifyGroupEvent,
+} = require("../services/groupEvents");
+const {
+  getPublicKeyPem,
+  verifyTicketCode,
+  formatTicket,
+  issueTickets,
+  issueTicket,
+  cancelTicket,
+} = require("../services/tickets");
 const {
   uploadEventImage,
   handleUploadError,
@@ -22,6 +75,158 @@ const getCategoryEmoji = (category) => {
   return emojiMap[category] || "📌";
 };
 
+// Helper function to promote waitlisted users into free spots, add the
+// event to each promoted user's attending list and issue their tickets.
+// Works on the stored event, so reload it afterwards to see the changes.
+const promoteWaitlistedUsers = async (eventId) => {
+  const promoted = [];
+  let userId;
+  while ((userId = await Event.promoteNextFromWaitlist(eventId))) {
+    promoted.push(userId);
+  }
+
+  if (promoted.length > 0) {
+    await User.updateMany(
+      { _id: { $in: promoted } },
+      { $addToSet: { eventsAttending: eventId } }
+    );
+    await issueTickets(eventId, promoted);
+    console.log(`⏫ Promoted ${promoted.length} user(s) from waitlist`);
+  }
+
+  return promoted;
+};
+
+// Helper function to populate attendees for a viewer, leaving out users
+// blocked either way
+const populateAttendees = async (userId) => ({
+  path: "attendeesList",
+  select: "name avatar",
+  ...(userId && {
+    match: { _id: { $nin: await User.getBlockedIds(userId) } },
+  }),
+});
+
+// Helper function to count RSVPs and check-ins for an event
+const getAttendanceCounts = async (event) => {
+  const checkedInCount = await Ticket.countDocuments({
+    event: event._id,
+    status: "active",
+    checkedInAt: { $ne: null },
+  });
+  return {
+    rsvpCount: event.attendeesList.length,
+    checkedInCount,
+  };
+};
+
+// Helper function to push updated attendance counts to the hosts who can
+// see attendance
+const publishAttendance = async (realtime, event, update = {}) => {
+  if (!realtime) return;
+  try {
+    const counts = await getAttendanceCounts(event);
+    const recipients = new Set([
+      ...getUsersWithPermission(event, "check_in"),
+      ...getUsersWithPermission(event, "manage_attendees"),
+    ]);
+    await Promise.all(
+      [...recipients].map((userId) =>
+        realtime.emit(`user:${userId}`, "attendanceUpdate", {
+          eventId: event._id,
+          ...counts,
+          ...update,
+        })
+      )
+    );
+  } catch (error) {
+    console.error("Error publishing attendance:", error);
+  }
+};
+
+// Helper function to tell promoted users they got a spot, call it once the
+// event has been saved
+const notifyPromotedUsers = (event, promoted) =>
+  notify({
+    type: "waitlist_promoted",
+    recipients: promoted,
+    text: `A spot opened up, you're now attending ${event.title}`,
+    event: event._id,
+  });
+
+// Helper function to tell the attendees of cancelled events
+const notifyEventCancelled = (events, actor) =>
+  Promise.all(
+    events.map((event) =>
+      notify({
+        type: "event_cancelled",
+        recipients: event.attendeesList,
+        actor,
+        text: `${event.title} on ${event.date} has been cancelled`,
+        event: event._id,
+      })
+    )
+  );
+
+// Helper function to work out an event's start time from the request body.
+// dateTime wins, otherwise the legacy local date and time strings are read
+// in the event's timezone. Returns { start } or { error }.
+const resolveStartTime = ({ dateTime, date, time }, timeZone) => {
+  if (dateTime) {
+    const start = new Date(dateTime);
+    return isNaN(start.getTime()) ? { error: "Invalid dateTime" } : { start };
+  }
+
+  const start = parseLocalDateTime(date, time, timeZone);
+  if (!start) {
+    return {
+      error:
+        "A valid dateTime, or a date (YYYY-MM-DD) and time (HH:mm) in the event's timezone, is required",
+    };
+  }
+  return { start };
+};
+
+// Helper function to check the end time and duration against the start,
+// returns an error message or null
+const validateEndTime = ({ endDateTime, duration }, start) => {
+  if (endDateTime && !(new Date(endDateTime) > start)) {
+    return "endDateTime must be after dateTime";
+  }
+  if (
+    duration !== undefined &&
+    duration !== null &&
+    !(Number(duration) > 0)
+  ) {
+    return "duration must be a positive number of minutes";
+  }
+  return null;
+};
+
+// Fields the event list can be sorted by
+const EVENT_SORT_FIELDS = [
+  "dateTime",
+  "createdAt",
+  "updatedAt",
+  "title",
+  "attendees",
+  "distance",
+];
+
+// Number of attendees populated per event in list responses
+const ATTENDEE_PREVIEW = 5;
+
+// Scopes for editing or cancelling an occurrence of a recurring event
+const EDIT_SCOPES = ["this", "following", "all"];
+
+// Helper function to build the query for occurrences affected by a series edit
+const getSeriesFilter = (event, scope) => {
+  if (scope === "all") {
+    return { series: event.series };
+  }
+  return { series: event.series, dateTime: { $gte: event.dateTime } };
+};
+
 // POST upload event image
 router.post("/upload-image", protect, (req, res) => {
   uploadEventImage(req, res, (err) => {
@@ -56,6 +261,14 @@ router.get("/", optionalAuth, async (req, res) => {
       status,
       sortBy = "dateTime",
       order = "asc",
+      near,
+      radiusKm,
+      bbox,
+      includePast,
+      from,
+      to,
+      when,
+      tz,
     } = req.query;
 
     let query = {};
@@ -69,9 +282,60 @@ router.get("/", optionalAuth, async (req, res) => {
     if (status) {
       query.status = status;
     } else {
-      // By default, only show published events unless user specifies otherwise
-      query.status = "published";
+      // By default, only show published and ongoing events (and completed
+      // ones with includePast) unless user specifies otherwise
+      query.status = {
+        $in:
+          includePast === "true"
+            ? ["published", "ongoing", "completed"]
+            : ["published", "ongoing"],
+      };
+    }
+
+    // Events that have already ended are left out unless asked for
+    if (includePast !== "true" && status !== "completed") {
+      Object.assign(query, notEndedFilter(new Date()));
+    }
+
+    // Date range filter in each event's local time: from/to=YYYY-MM-DD or
+    // when=today|tomorrow|weekend, worked out in the tz timezone
+    let range = { from, to };
+    if (when) {
+      if (!RELATIVE_RANGES.includes(when)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid when. Must be one of: ${RELATIVE_RANGES.join(", ")}`,
+        });
+      }
+      if (tz !== undefined && !isValidTimeZone(tz)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid tz. Use an IANA name such as Europe/Berlin",
+        });
+      }
+      range = getRelativeDateRange(when, tz || DEFAULT_TIMEZONE);
+    }
+
+    if (
+      (range.from && !isValidDateString(range.from)) ||
+      (range.to && !isValidDateString(range.to))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid from or to. Use dates in the form YYYY-MM-DD",
+      });
+    }
+
+    // Multi-day events match every day they run on
+    if (range.from) {
+      query.endDate = { $gte: range.from };
     }
+    if (range.to) {
+      query.date = { $lte: range.to };
+    }
+
+    // Members-only group events are left out for non-members
+    query.$and = [await visibleEventsFilter(req.user && req.user._id)];
 
     // Search functionality
     if (search) {
@@ -82,18 +346,158 @@ router.get("/", optionalAuth, async (req, res) => {
       ];
     }
 
+    // Distance filter: near=lat,lng with optional radiusKm
+    let origin = null;
+    if (near) {
+      origin = parseLatLng(near);
+      if (!origin) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid near parameter. Use near=latitude,longitude",
+        });
+      }
+    }
+
+    if (radiusKm !== undefined && (!origin || !(Number(radiusKm) > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: "radiusKm must be a positive number and requires near",
+      });
+    }
+
+    if (sortBy === "distance" && !origin) {
+      return res.status(400).json({
+        success: false,
+        error: "Sorting by distance requires the near parameter",
+      });
+    }
+
+    // Bounding box filter: bbox=minLat,minLng,maxLat,maxLng
+    let boundingBox = null;
+    if (bbox) {
+      boundingBox = parseBoundingBox(bbox);
+      if (!boundingBox) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Invalid bbox parameter. Use bbox=minLat,minLng,maxLat,maxLng",
+        });
+      }
+    }
+
+    if (!EVENT_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sortBy. Must be one of: ${EVENT_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
     const sortOrder = order === "desc" ? -1 : 1;
+    const sortFields = parseSort({
+      [sortBy === "distance" ? "distanceKm" : sortBy]: sortOrder,
+    });
 
-    const events = await Event.find(query)
-      .populate("creator", "name avatar")
-      .populate("attendeesList", "name avatar")
-      .sort({ [sortBy]: sortOrder })
-      .lean();
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error,
+      });
+    }
+    const { limit, sort, cursorFilter } = pagination;
+
+    let results;
+
+    if (origin) {
+      // $geoNear adds distanceKm to each event
+      const pipeline = [
+        {
+          $geoNear: {
+            near: {
+              type: "Point",
+              coordinates: [origin.longitude, origin.latitude],
+            },
+            distanceField: "distanceKm",
+            distanceMultiplier: 0.001,
+            spherical: true,
+            query,
+            ...(radiusKm && { maxDistance: Number(radiusKm) * 1000 }),
+          },
+        },
+      ];
+
+      if (boundingBox) {
+        pipeline.push({
+          $match: { geoLocation: { $geoWithin: { $geometry: boundingBox } } },
+        });
+      }
+
+      if (cursorFilter) {
+        pipeline.push({ $match: cursorFilter });
+      }
+
+      pipeline.push(
+        { $sort: sort },
+        { $limit: limit + 1 },
+        {
+          $addFields: {
+            attendeesList: { $slice: ["$attendeesList", ATTENDEE_PREVIEW] },
+          },
+        },
+        { $project: { waitlist: 0 } }
+      );
+
+      results = await Event.aggregate(pipeline);
+    } else {
+      if (boundingBox) {
+        query.geoLocation = { $geoWithin: { $geometry: boundingBox } };
+      }
+
+      results = await Event.find(applyCursor(query, cursorFilter))
+        .select({
+          waitlist: 0,
+          attendeesList: { $slice: ATTENDEE_PREVIEW },
+        })
+        .sort(sort)
+        .limit(limit + 1)
+        .lean();
+    }
+
+    const { items: events, nextCursor, hasMore } = buildPage(
+      results,
+      limit,
+      sortFields
+    );
+
+    // Only a preview of attendees is populated, full lists are on GET /:id
+    await Event.populate(events, [
+      { path: "creator", select: "name avatar" },
+      await populateAttendees(req.user && req.user._id),
+    ]);
+
+    // Tell the current user which of these events they are attending
+    let attendingIds = new Set();
+    if (req.user && events.length > 0) {
+      const attending = await Event.find({
+        _id: { $in: events.map((event) => event._id) },
+        attendeesList: req.user._id,
+      }).distinct("_id");
+      attendingIds = new Set(attending.map((id) => id.toString()));
+    }
+
+    events.forEach((event) => {
+      event.isAttending = attendingIds.has(event._id.toString());
+      if (event.distanceKm !== undefined) {
+        event.distanceKm = Math.round(event.distanceKm * 100) / 100;
+      }
+    });
 
     res.json({
       success: true,
       count: events.length,
       events,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error("Error fetching events:", error);
@@ -105,14 +509,96 @@ router.get("/", optionalAuth, async (req, res) => {
   }
 });
 
+// GET public key for verifying ticket codes offline (Ed25519, PEM)
+router.get("/tickets/public-key", (req, res) => {
+  res.json({
+    success: true,
+    algorithm: "Ed25519",
+    publicKey: getPublicKeyPem(),
+  });
+});
+
+// GET events the current user is waitlisted for
+router.get("/waitlist/me", protect, async (req, res) => {
+  try {
+    const events = await Event.find({ waitlist: req.user._id })
+      .populate("creator", "name avatar")
+      .sort({ dateTime: 1 });
+
+    const waitlist = events.map((event) => ({
+      event,
+      position: event.getWaitlistPosition(req.user._id),
+      waitlistLength: event.waitlist.length,
+    }));
+
+    res.json({
+      success: true,
+      count: waitlist.length,
+      waitlist,
+    });
+  } catch (error) {
+    console.error("Error fetching waitlist:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch waitlist",
+      message: error.message,
+    });
+  }
+});
+
+// GET the current user's pending co-host invitations
+router.get("/cohosts/invitations/me", protect, async (req, res) => {
+  try {
+    const events = await Event.find({ "coHostInvites.user": req.user._id })
+      .select("title dateTime date time location image imageUrl coHostInvites")
+      .populate("coHostInvites.invitedBy", "name avatar")
+      .sort({ dateTime: 1 });
+
+    const invitations = events.map((event) => {
+      const invite = event.coHostInvites.find(
+        (item) => item.user.toString() === req.user._id.toString()
+      );
+      return {
+        event: {
+          _id: event._id,
+          title: event.title,
+          dateTime: event.dateTime,
+          date: event.date,
+          time: event.time,
+          location: event.location,
+          image: event.image,
+          imageUrl: event.imageUrl,
+        },
+        permissions: invite.permissions,
+        invitedBy: invite.invitedBy,
+        createdAt: invite.createdAt,
+      };
+    });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching co-host invitations:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch co-host invitations",
+      message: error.message,
+    });
+  }
+});
+
 // GET single event by ID
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
       .populate("creator", "name avatar email")
-      .populate("attendeesList", "name avatar");
+      .populate(await populateAttendees(req.user && req.user._id))
+      .populate("group", "name avatar isPrivate");
 
-    if (!event) {
+    if (!event || !(await canViewEvent(event, req.user && req.user._id))) {
       return res.status(404).json({
         success: false,
         error: "Event not found",
@@ -133,203 +619,1120 @@ router.get("/:id", optionalAuth, async (req, res) => {
   }
 });
 
-// POST create new event
-router.post("/", protect, async (req, res) => {
+// GET single event as an iCalendar (.ics) file
+router.get("/:id/ics", optionalAuth, async (req, res) => {
   try {
-    const {
-      title,
-      description,
-      location,
-      category,
-      date,
-      time,
-      dateTime,
-      imageUrl,
-      capacity,
-      coordinates,
-      status,
-    } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
 
-    // Validation
-    if (!title || !location || !date || !time) {
-      return res.status(400).json({
+    const event = await Event.findById(req.params.id).lean();
+
+    if (!event || !(await canViewEvent(event, req.user && req.user._id))) {
+      return res.status(404).json({
         success: false,
-        error:
-          "Missing required fields: title, location, date, and time are required",
+        error: "Event not found",
       });
     }
 
-    const newEvent = new Event({
-      title,
-      description,
-      location,
-      coordinates: coordinates || { latitude: null, longitude: null },
-      category: category || "Community",
-      date,
-      time,
-      dateTime: dateTime || new Date(),
-      image: getCategoryEmoji(category || "Community"),
-      imageUrl: imageUrl || null,
-      capacity: capacity || null,
-      status: status || "published",
-      isUserCreated: true,
-      attendees: 0,
-      creator: req.user._id, // Add creator from authenticated user
+    res.type("text/calendar; charset=utf-8");
+    res.attachment(`event-${event._id}.ics`);
+    res.send(buildCalendar([event]));
+  } catch (error) {
+    console.error("Error exporting event:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export event",
+      message: error.message,
     });
+  }
+});
 
-    const savedEvent = await newEvent.save();
+// GET all occurrences in the same series as an event
+router.get("/:id/occurrences", optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
 
-    // Add event to user's createdEvents
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { eventsCreated: savedEvent._id },
-    });
+    if (!event || !(await canViewEvent(event, req.user && req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
 
-    // Populate creator info before sending response
-    await savedEvent.populate("creator", "name avatar");
+    const occurrences = event.series
+      ? await Event.find({ series: event.series })
+          .select(
+            "title date time dateTime status attendees capacity occurrenceIndex isSeriesException"
+          )
+          .sort({ dateTime: 1 })
+          .lean()
+      : [event];
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Event created successfully",
-      event: savedEvent,
+      series: event.series,
+      recurrence: event.recurrence,
+      count: occurrences.length,
+      occurrences,
     });
   } catch (error) {
-    console.error("Error creating event:", error);
+    console.error("Error fetching occurrences:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to create event",
+      error: "Failed to fetch occurrences",
       message: error.message,
     });
   }
 });
 
-// PUT update event
-router.put("/:id", protect, async (req, res) => {
+// POST create new event
+router.post("/", protect, async (req, res) => {
   try {
     const {
       title,
       description,
       location,
       category,
-      date,
-      time,
-      dateTime,
-      attendees,
+      endDateTime,
+      duration,
+      timezone,
       imageUrl,
       capacity,
       coordinates,
       status,
+      recurrence,
+      group: groupId,
+      membersOnly,
     } = req.body;
 
-    // Check if user is the creator
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({
+    // Validation
+    if (!title || !location) {
+      return res.status(400).json({
         success: false,
-        error: "Event not found",
+        error: "Missing required fields: title and location are required",
       });
     }
 
-    if (event.creator && event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
         success: false,
-        error: "Not authorized to update this event",
+        error: "Invalid timezone. Use an IANA name such as Europe/Berlin",
       });
     }
+    const timeZone = timezone || DEFAULT_TIMEZONE;
 
-    const updateData = {
-      ...(title && { title }),
-      ...(description !== undefined && { description }),
-      ...(location && { location }),
-      ...(category && { category, image: getCategoryEmoji(category) }),
-      ...(date && { date }),
-      ...(time && { time }),
-      ...(dateTime && { dateTime }),
-      ...(attendees !== undefined && { attendees }),
-      ...(imageUrl !== undefined && { imageUrl }),
-      ...(capacity !== undefined && { capacity }),
-      ...(coordinates && { coordinates }),
-      ...(status && { status }),
-      updatedAt: Date.now(),
-    };
+    // The legacy date and time strings are derived from the start time
+    const { start, error: startError } = resolveStartTime(req.body, timeZone);
+    const timeError = startError || validateEndTime(req.body, start);
+    if (timeError) {
+      return res.status(400).json({
+        success: false,
+        error: timeError,
+      });
+    }
 
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
+    // Events hosted by a group are created by one of its admins
+    let group = null;
+    if (groupId) {
+      group = mongoose.Types.ObjectId.isValid(groupId)
+        ? await Group.findById(groupId).select("name admins members isPrivate")
+        : null;
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          error: "Group not found",
+        });
+      }
+
+      if (!isGroupAdmin(group, req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: "Only group admins can create events for a group",
+        });
+      }
+    }
+
+    if (membersOnly && !(group && group.isPrivate)) {
+      return res.status(400).json({
+        success: false,
+        error: "Only events hosted by a private group can be members-only",
+      });
+    }
+
+    const eventData = {
+      title,
+      description,
+      location,
+      coordinates: coordinates || { latitude: null, longitude: null },
+      category: category || "Community",
+      dateTime: start,
+      timezone: timeZone,
+      endDateTime: endDateTime || null,
+      duration: duration || null,
+      image: getCategoryEmoji(category || "Community"),
+      imageUrl: imageUrl || null,
+      capacity: capacity || null,
+      status: status || "published",
+      group: group ? group._id : null,
+      membersOnly: !!membersOnly,
+      isUserCreated: true,
+      attendees: 0,
+      creator: req.user._id, // Add creator from authenticated user
+    };
+
+    if (recurrence) {
+      // Rules work on the local wall clock so every occurrence starts at
+      // the same local time
+      const wallStart = toWallClock(start, timeZone);
+      const recurrenceError = validateRecurrence(recurrence, wallStart);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          error: recurrenceError,
+        });
+      }
+
+      const rule = normalizeRecurrence(recurrence, wallStart);
+      const { dates, error: expandError } = expandRecurrence(wallStart, rule);
+      if (expandError) {
+        return res.status(400).json({
+          success: false,
+          error: expandError,
+        });
+      }
+
+      // Occurrences share a duration rather than one end time
+      if (eventData.endDateTime) {
+        eventData.duration = Math.ceil(
+          (new Date(eventData.endDateTime) - start) / 60000
+        );
+        eventData.endDateTime = null;
+      }
+
+      // Store the series as one event per occurrence
+      const series = new mongoose.Types.ObjectId();
+      const occurrences = dates.map((occurrenceDate, index) => ({
+        ...eventData,
+        dateTime: fromWallClock(occurrenceDate, timeZone),
+        series,
+        recurrence: rule,
+        occurrenceIndex: index,
+      }));
+
+      const savedEvents = await Event.insertMany(occurrences);
+
+      // Add every occurrence to user's createdEvents
+      await User.findByIdAndUpdate(req.user._id, {
+        $push: { eventsCreated: { $each: savedEvents.map((e) => e._id) } },
+      });
+
+      const firstEvent = await Event.findById(savedEvents[0]._id).populate(
+        "creator",
+        "name avatar"
+      );
+
+      // One notification for the whole series
+      if (group && firstEvent.status !== "draft") {
+        await notifyGroupEvent(group, firstEvent, req.user._id);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `Recurring event created with ${savedEvents.length} occurrences`,
+        event: firstEvent,
+        series,
+        occurrences: savedEvents.map((e) => ({
+          _id: e._id,
+          date: e.date,
+          dateTime: e.dateTime,
+        })),
+      });
+    }
+
+    const newEvent = new Event(eventData);
+    const savedEvent = await newEvent.save();
+
+    // Add event to user's createdEvents
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { eventsCreated: savedEvent._id },
+    });
+
+    if (group && savedEvent.status !== "draft") {
+      await notifyGroupEvent(group, savedEvent, req.user._id);
+    }
+
+    // Populate creator info before sending response
+    await savedEvent.populate("creator", "name avatar");
+
+    res.status(201).json({
+      success: true,
+      message: "Event created successfully",
+      event: savedEvent,
+    });
+  } catch (error) {
+    console.error("Error creating event:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create event",
+      message: error.message,
+    });
+  }
+});
+
+// PUT update event (owner and co-hosts who can edit)
+router.put("/:id", protect, authorizeEvent("edit"), async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      location,
+      category,
+      date,
+      time,
+      dateTime,
+      endDateTime,
+      duration,
+      timezone,
+      attendees,
+      imageUrl,
+      capacity,
+      coordinates,
+      status,
+      membersOnly,
+      scope = "this",
+    } = req.body;
+
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scope. Must be 'this', 'following', or 'all'",
+      });
+    }
+
+    const { event } = req;
+
+    // Status changes go through PATCH /:id/status, which checks the cancel
+    // permission per occurrence and tells attendees about cancellations.
+    // Clients that send the whole event back with its status are fine.
+    if (status && status !== event.status) {
+      return res.status(400).json({
+        success: false,
+        error: "Use PATCH /api/events/:id/status to change the status",
+      });
+    }
+
+    if (membersOnly) {
+      const group =
+        event.group && (await Group.findById(event.group).select("isPrivate"));
+      if (!group || !group.isPrivate) {
+        return res.status(400).json({
+          success: false,
+          error: "Only events hosted by a private group can be members-only",
+        });
+      }
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid timezone. Use an IANA name such as Europe/Berlin",
+      });
+    }
+    const timeZone = timezone || event.timezone || DEFAULT_TIMEZONE;
+
+    // A new start comes as dateTime, or as changed local date and/or time
+    // strings from old clients (the part not sent is kept)
+    let newStart = event.dateTime;
+    const legacyMoved =
+      (date && date !== event.date) || (time && time !== event.time);
+    if (dateTime || legacyMoved) {
+      const resolved = resolveStartTime(
+        { dateTime, date: date || event.date, time: time || event.time },
+        timeZone
+      );
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          error: resolved.error,
+        });
+      }
+      newStart = resolved.start;
+    }
+    const startMoved = newStart.getTime() !== event.dateTime.getTime();
+
+    // The end time has to stay after the (possibly moved) start time
+    const endError = validateEndTime(
+      {
+        endDateTime:
+          endDateTime !== undefined ? endDateTime : event.endDateTime,
+        duration,
+      },
+      newStart
+    );
+    if (endError) {
+      return res.status(400).json({
+        success: false,
+        error: endError,
+      });
+    }
+
+    const updateData = {
+      ...(title && { title }),
+      ...(description !== undefined && { description }),
+      ...(location && { location }),
+      ...(category && { category, image: getCategoryEmoji(category) }),
+      ...(startMoved && { dateTime: newStart }),
+      ...(timezone && { timezone }),
+      ...(endDateTime !== undefined && { endDateTime }),
+      ...(duration !== undefined && { duration }),
+      ...(attendees !== undefined && { attendees }),
+      ...(imageUrl !== undefined && { imageUrl }),
+      ...(capacity !== undefined && { capacity }),
+      ...(coordinates && { coordinates }),
+      ...(membersOnly !== undefined && { membersOnly: !!membersOnly }),
+      updatedAt: Date.now(),
+    };
+
+    // Apply the edit to several occurrences of a recurring event
+    if (event.series && scope !== "this") {
+      const seriesUpdate = { ...updateData };
+      delete seriesUpdate.dateTime;
+      delete seriesUpdate.attendees;
+
+      // Occurrences share a duration rather than one end time
+      if (endDateTime) {
+        seriesUpdate.endDateTime = null;
+        seriesUpdate.duration = Math.ceil(
+          (new Date(endDateTime) - newStart) / 60000
+        );
+      }
+
+      // Moving this occurrence moves the others by the same amount of
+      // local time, so they keep matching local times across DST changes
+      const shift = startMoved
+        ? toWallClock(newStart, timeZone) -
+          toWallClock(event.dateTime, timeZone)
+        : 0;
+      const moveBy = (date) =>
+        fromWallClock(
+          new Date(toWallClock(date, timeZone).getTime() + shift),
+          timeZone
+        );
+
+      // Only occurrences the user may edit, co-hosts are per occurrence
+      const occurrences = await Event.find({
+        ...getSeriesFilter(event, scope),
+        ...eventPermissionFilter(req.user._id, "edit"),
+      });
+      for (const occurrence of occurrences) {
+        Object.assign(occurrence, seriesUpdate);
+        if (shift) {
+          occurrence.dateTime = moveBy(occurrence.dateTime);
+          if (occurrence.endDateTime) {
+            occurrence.endDateTime = moveBy(occurrence.endDateTime);
+          }
+        }
+        occurrence.isSeriesException = false;
+        await occurrence.save();
+
+        // Raising the capacity frees spots for waitlisted users
+        if (capacity !== undefined) {
+          const promoted = await promoteWaitlistedUsers(occurrence._id);
+          if (promoted.length > 0) {
+            await notifyPromotedUsers(occurrence, promoted);
+          }
+        }
+      }
+
+      const updatedEvent = await Event.findById(req.params.id);
+      await updatedEvent.populate("creator", "name avatar");
+
+      return res.json({
+        success: true,
+        message: `Updated ${occurrences.length} occurrences`,
+        event: updatedEvent,
+        updatedCount: occurrences.length,
+      });
+    }
+
+    // Editing a single occurrence detaches it from later series edits
+    if (event.series) {
+      updateData.isSeriesException = true;
+    }
+
+    // Reminders are tied to dateTime, so moving the event reschedules them
+    let updatedEvent = await Event.findByIdAndUpdate(
+      req.params.id,
       updateData,
       { new: true, runValidators: true }
-    ).populate("creator", "name avatar");
+    );
+
+    // Raising the capacity frees spots for waitlisted users
+    if (capacity !== undefined) {
+      const promoted = await promoteWaitlistedUsers(updatedEvent._id);
+      if (promoted.length > 0) {
+        updatedEvent = await Event.findById(updatedEvent._id);
+        await notifyPromotedUsers(updatedEvent, promoted);
+      }
+    }
+
+    await updatedEvent.populate("creator", "name avatar");
+
+    res.json({
+      success: true,
+      message: "Event updated successfully",
+      event: updatedEvent,
+    });
+  } catch (error) {
+    console.error("Error updating event:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update event",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE event (owner only)
+router.delete("/:id", protect, authorizeEvent("owner"), async (req, res) => {
+  try {
+    const { event } = req;
+
+    await deleteEvent(event, req.app.get("realtime"));
+
+    res.json({
+      success: true,
+      message: "Event deleted successfully",
+      event,
+    });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete event",
+      message: error.message,
+    });
+  }
+});
+
+// PATCH increment attendees (toggle attend/unattend)
+// Full events put the user on the waitlist instead
+router.patch("/:id/attend", protect, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !(await canViewEvent(event, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
+
+    const userId = req.user._id;
+    const isAttending = event.attendeesList.some(
+      (id) => id.toString() === userId.toString()
+    );
+    const isWaitlisted = event.getWaitlistPosition(userId) !== null;
+
+    // Anyone can leave, but only upcoming and running events take RSVPs
+    if (
+      !isAttending &&
+      !isWaitlisted &&
+      !Event.JOINABLE_STATUSES.includes(event.status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `You can't attend a ${event.status} event`,
+      });
+    }
+
+    console.log(`User ${userId} attendance status BEFORE: ${isAttending}`);
+
+    let message;
+    let updated;
+    let promoted = [];
+    let joined = false;
+
+    if (isAttending) {
+      // Remove user from attendees
+      updated = await Event.removeAttendee(event._id, userId);
+
+      if (updated) {
+        // Remove event from user's attending list
+        await User.findByIdAndUpdate(userId, {
+          $pull: { eventsAttending: event._id },
+        });
+        await cancelTicket(event._id, userId);
+
+        // Attendees only (besides the hosts), so leave the event chat room
+        if (!isEventOwner(event, userId) && !getCoHost(event, userId)) {
+          removeUserFromRoom(
+            req.app.get("realtime"),
+            userId,
+            "event",
+            event._id
+          );
+        }
+
+        // Give the freed spot to the next user on the waitlist
+        promoted = await promoteWaitlistedUsers(event._id);
+      }
+      message = "Removed from event attendees";
+    } else if (isWaitlisted) {
+      // Toggling again while waitlisted leaves the waitlist
+      updated = await Event.removeFromWaitlist(event._id, userId);
+      message = "Removed from event waitlist";
+    } else {
+      // Add user to attendees, or to the waitlist once the event is full.
+      // Both check the capacity as they write, so RSVPs can't overbook.
+      updated = await Event.addAttendee(event._id, userId);
+
+      if (updated) {
+        // Add event to user's attending list
+        await User.findByIdAndUpdate(userId, {
+          $addToSet: { eventsAttending: event._id },
+        });
+        joined = true;
+        message = "Added to event attendees";
+      } else {
+        updated = await Event.addToWaitlist(event._id, userId);
+        message = "Event is full. Added to the waitlist";
+      }
+    }
+
+    // Another request changed the event or this RSVP in the meantime
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: "Attendance changed, please try again",
+      });
+    }
+
+    const current =
+      promoted.length > 0
+        ? (await Event.findById(event._id)) || updated
+        : updated;
+
+    let ticket = null;
+    if (joined) {
+      ticket = formatTicket(await issueTicket(current._id, userId));
+      await notify({
+        type: "event_attend",
+        recipients: current.creator,
+        actor: userId,
+        text: `${req.user.name} is attending ${current.title}`,
+        event: current._id,
+      });
+    }
+    if (promoted.length > 0) {
+      await notifyPromotedUsers(current, promoted);
+    }
+    if (isAttending || joined || promoted.length > 0) {
+      await publishAttendance(req.app.get("realtime"), current);
+    }
+
+    // Work out the attendance state before populating, which leaves out
+    // attendees blocked either way
+    const newAttendingState = current.attendeesList.some(
+      (id) => id.toString() === userId.toString()
+    );
+    const waitlistPosition = current.getWaitlistPosition(userId);
+    const isFull = current.isFull();
+    const spotsRemaining = current.capacity
+      ? Math.max(0, current.capacity - current.attendeesList.length)
+      : null;
+    console.log(`User ${userId} attendance status AFTER: ${newAttendingState}`);
+
+    await current.populate("creator", "name avatar");
+    await current.populate(await populateAttendees(userId));
+
+    res.json({
+      success: true,
+      message,
+      event: current,
+      attending: newAttendingState,
+      waitlisted: waitlistPosition !== null,
+      waitlistPosition,
+      waitlistLength: current.waitlist.length,
+      isFull,
+      ticket,
+      promotedCount: promoted.length,
+      spotsRemaining,
+    });
+  } catch (error) {
+    console.error("Error updating attendance:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update attendance",
+      message: error.message,
+    });
+  }
+});
+
+// GET the current user's ticket for an event
+router.get("/:id/ticket", protect, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select("attendeesList");
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
+
+    const isAttending = event.attendeesList.some(
+      (id) => id.toString() === req.user._id.toString()
+    );
+    if (!isAttending) {
+      return res.status(404).json({
+        success: false,
+        error: "You are not attending this event",
+      });
+    }
+
+    // Attendees from before ticketing get their ticket on first request
+    const ticket = await issueTicket(event._id, req.user._id);
+
+    res.json({
+      success: true,
+      ticket: formatTicket(ticket),
+    });
+  } catch (error) {
+    console.error("Error fetching ticket:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch ticket",
+      message: error.message,
+    });
+  }
+});
+
+// POST check in an attendee by scanning their ticket code
+// Body: { code, scannedAt? } - scannedAt is when an offline device scanned it
+router.post(
+  "/:id/check-in",
+  protect,
+  authorizeEvent("check_in"),
+  async (req, res) => {
+    try {
+      const { code, scannedAt } = req.body;
+      const { event } = req;
+
+      const payload = verifyTicketCode(code);
+      if (!payload) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid ticket code",
+        });
+      }
+
+      if (payload.eid !== event._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: "This ticket is for a different event",
+        });
+      }
+
+      const checkedInAt = scannedAt ? new Date(scannedAt) : new Date();
+      if (isNaN(checkedInAt.getTime()) || checkedInAt > new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid scannedAt",
+        });
+      }
+
+      // Only the first scan of an active ticket counts
+      const ticket = await Ticket.findOneAndUpdate(
+        {
+          _id: payload.tid,
+          event: event._id,
+          user: payload.uid,
+          status: "active",
+          checkedInAt: null,
+        },
+        { checkedInAt, checkedInBy: req.user._id },
+        { new: true }
+      ).populate("user", "name avatar");
+
+      if (!ticket) {
+        const existing = await Ticket.findOne({
+          _id: payload.tid,
+          event: event._id,
+        });
+
+        if (existing && existing.status === "active") {
+          return res.status(409).json({
+            success: false,
+            error: "Ticket already checked in",
+            checkedInAt: existing.checkedInAt,
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          error: "Ticket has been cancelled",
+        });
+      }
+
+      const counts = await getAttendanceCounts(event);
+      await publishAttendance(req.app.get("realtime"), event, {
+        checkedIn: { user: ticket.user, checkedInAt: ticket.checkedInAt },
+      });
+
+      res.json({
+        success: true,
+        message: `${ticket.user.name} checked in`,
+        attendee: ticket.user,
+        checkedInAt: ticket.checkedInAt,
+        ...counts,
+      });
+    } catch (error) {
+      console.error("Error checking in attendee:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to check in attendee",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET attendance for hosts who check in or manage attendees: RSVPs vs
+// check-ins
+router.get(
+  "/:id/attendance",
+  protect,
+  authorizeEvent("manage_attendees", "check_in"),
+  async (req, res) => {
+    try {
+      const event = await req.event.populate("attendeesList", "name avatar");
+
+      const tickets = await Ticket.find({
+        event: event._id,
+        status: "active",
+        checkedInAt: { $ne: null },
+      })
+        .select("user checkedInAt")
+        .lean();
+      const checkedInByUser = new Map(
+        tickets.map((ticket) => [ticket.user.toString(), ticket.checkedInAt])
+      );
+
+      const attendees = event.attendeesList.map((user) => ({
+        user,
+        checkedInAt: checkedInByUser.get(user._id.toString()) || null,
+      }));
+
+      res.json({
+        success: true,
+        rsvpCount: attendees.length,
+        checkedInCount: attendees.filter((a) => a.checkedInAt).length,
+        attendees,
+      });
+    } catch (error) {
+      console.error("Error fetching attendance:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch attendance",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Helper function to check a list of co-host permissions, returns an error
+// message or null
+const validatePermissions = (permissions) => {
+  if (
+    !Array.isArray(permissions) ||
+    permissions.length === 0 ||
+    !permissions.every((permission) => EVENT_PERMISSIONS.includes(permission))
+  ) {
+    return `permissions must be a non-empty list of: ${EVENT_PERMISSIONS.join(
+      ", "
+    )}`;
+  }
+  return null;
+};
+
+// GET an event's co-hosts (owner and co-hosts). Pending invitations are
+// only shown to the owner.
+router.get("/:id/cohosts", protect, async (req, res) => {
+  try {
+    const event = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Event.findById(req.params.id)
+          .select("creator coHosts coHostInvites")
+          .populate("creator coHosts.user coHostInvites.user", "name avatar")
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
+
+    const isOwner = hasEventPermission(event, req.user._id, "owner");
+    if (!isOwner && !getCoHost(event, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the event's hosts can view its co-hosts",
+      });
+    }
 
     res.json({
       success: true,
-      message: "Event updated successfully",
-      event: updatedEvent,
+      owner: event.creator,
+      coHosts: event.coHosts,
+      invites: isOwner ? event.coHostInvites : undefined,
     });
   } catch (error) {
-    console.error("Error updating event:", error);
+    console.error("Error fetching co-hosts:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update event",
+      error: "Failed to fetch co-hosts",
       message: error.message,
     });
   }
 });
 
-// DELETE event
-router.delete("/:id", protect, async (req, res) => {
+// POST invite a co-host (owner only). Inviting someone again replaces
+// their pending invitation.
+// Body: { userId, permissions: ["edit", "manage_attendees", ...] }
+router.post(
+  "/:id/cohosts",
+  protect,
+  authorizeEvent("owner"),
+  async (req, res) => {
+    try {
+      const { userId, permissions } = req.body;
+      const { event } = req;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: "A valid userId is required",
+        });
+      }
+
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionsError,
+        });
+      }
+
+      if (isEventOwner(event, userId)) {
+        return res.status(400).json({
+          success: false,
+          error: "The owner can't be a co-host",
+        });
+      }
+
+      if (getCoHost(event, userId)) {
+        return res.status(409).json({
+          success: false,
+          error: "User is already a co-host. Update their permissions instead",
+        });
+      }
+
+      if (!(await User.exists({ _id: userId, isActive: true }))) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      if (await User.isBlockedBetween(req.user._id, userId)) {
+        return res.status(403).json({
+          success: false,
+          error: "You can't invite this user as a co-host",
+        });
+      }
+
+      event.coHostInvites = event.coHostInvites.filter(
+        (invite) => invite.user.toString() !== userId.toString()
+      );
+      event.coHostInvites.push({
+        user: userId,
+        permissions: [...new Set(permissions)],
+        invitedBy: req.user._id,
+      });
+      await event.save();
+
+      await notify({
+        type: "cohost_invite",
+        recipients: userId,
+        actor: req.user._id,
+        text: `${req.user.name} invited you to co-host ${event.title}`,
+        event: event._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Co-host invitation sent",
+        invites: event.coHostInvites,
+      });
+    } catch (error) {
+      console.error("Error inviting co-host:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to invite co-host",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST accept a co-host invitation
+router.post("/:id/cohosts/accept", protect, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Event.findOne({
+          _id: req.params.id,
+          "coHostInvites.user": req.user._id,
+        })
+      : null;
 
     if (!event) {
       return res.status(404).json({
         success: false,
-        error: "Event not found",
+        error: "Co-host invitation not found",
       });
     }
 
-    // Check if user is the creator
-    if (event.creator && event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const invite = event.coHostInvites.find(
+      (item) => item.user.toString() === req.user._id.toString()
+    );
+
+    // Only move the invitation if it's still there, in case it was
+    // accepted or withdrawn in the meantime
+    const updatedEvent = await Event.findOneAndUpdate(
+      { _id: event._id, "coHostInvites.user": req.user._id },
+      {
+        $pull: { coHostInvites: { user: req.user._id } },
+        $push: {
+          coHosts: { user: req.user._id, permissions: invite.permissions },
+        },
+      },
+      { new: true }
+    ).populate("coHosts.user", "name avatar");
+
+    if (!updatedEvent) {
+      return res.status(404).json({
         success: false,
-        error: "Not authorized to delete this event",
+        error: "Co-host invitation not found",
       });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
-
-    // Remove event from user's createdEvents
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { eventsCreated: req.params.id },
+    res.json({
+      success: true,
+      message: `You are now co-hosting ${updatedEvent.title}`,
+      coHosts: updatedEvent.coHosts,
+    });
+  } catch (error) {
+    console.error("Error accepting co-host invitation:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to accept co-host invitation",
+      message: error.message,
     });
+  }
+});
 
-    // Remove event from all users' attending and saved lists
-    await User.updateMany(
-      {},
-      {
-        $pull: {
-          eventsAttending: req.params.id,
-          savedEvents: req.params.id,
-        },
-      }
-    );
+// POST decline a co-host invitation
+router.post("/:id/cohosts/decline", protect, async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Event.updateOne(
+          { _id: req.params.id, "coHostInvites.user": req.user._id },
+          { $pull: { coHostInvites: { user: req.user._id } } }
+        )
+      : { modifiedCount: 0 };
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Co-host invitation not found",
+      });
+    }
 
     res.json({
       success: true,
-      message: "Event deleted successfully",
-      event,
+      message: "Co-host invitation declined",
     });
   } catch (error) {
-    console.error("Error deleting event:", error);
+    console.error("Error declining co-host invitation:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to delete event",
+      error: "Failed to decline co-host invitation",
       message: error.message,
     });
   }
 });
 
-// PATCH increment attendees (toggle attend/unattend)
-router.patch("/:id/attend", protect, async (req, res) => {
+// PATCH change a co-host's permissions (owner only)
+// Body: { permissions: [...] }
+router.patch(
+  "/:id/cohosts/:userId",
+  protect,
+  authorizeEvent("owner"),
+  async (req, res) => {
+    try {
+      const { permissions } = req.body;
+      const { event } = req;
+
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionsError,
+        });
+      }
+
+      const coHost = getCoHost(event, req.params.userId);
+      if (!coHost) {
+        return res.status(404).json({
+          success: false,
+          error: "Co-host not found",
+        });
+      }
+
+      coHost.permissions = [...new Set(permissions)];
+      await event.save();
+      await publishAttendance(req.app.get("realtime"), event);
+
+      res.json({
+        success: true,
+        message: "Co-host permissions updated",
+        coHost,
+      });
+    } catch (error) {
+      console.error("Error updating co-host:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update co-host",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE remove a co-host or withdraw their invitation (owner), or step
+// down as a co-host (the co-host themselves)
+router.delete("/:id/cohosts/:userId", protect, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const { userId } = req.params;
+    const event = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
 
     if (!event) {
       return res.status(404).json({
@@ -338,68 +1741,224 @@ router.patch("/:id/attend", protect, async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
+    const isSelf = userId === req.user._id.toString();
+    if (!isSelf && !hasEventPermission(event, req.user._id, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the event owner can remove co-hosts",
+      });
+    }
+
+    const wasCoHost = !!getCoHost(event, userId);
+    const hadInvite = event.coHostInvites.some(
+      (invite) => invite.user.toString() === userId
+    );
+    if (!wasCoHost && !hadInvite) {
+      return res.status(404).json({
+        success: false,
+        error: "Co-host not found",
+      });
+    }
+
+    event.coHosts = event.coHosts.filter(
+      (coHost) => coHost.user.toString() !== userId
+    );
+    event.coHostInvites = event.coHostInvites.filter(
+      (invite) => invite.user.toString() !== userId
+    );
+    await event.save();
+
+    // Co-hosts who aren't attending lose access to the event chat room
     const isAttending = event.attendeesList.some(
-      (id) => id.toString() === userId.toString()
+      (id) => id.toString() === userId
     );
+    if (wasCoHost && !isAttending) {
+      removeUserFromRoom(req.app.get("realtime"), userId, "event", event._id);
+    }
 
-    console.log(`User ${userId} attendance status BEFORE: ${isAttending}`);
+    res.json({
+      success: true,
+      message: wasCoHost ? "Co-host removed" : "Co-host invitation withdrawn",
+      coHosts: event.coHosts,
+    });
+  } catch (error) {
+    console.error("Error removing co-host:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove co-host",
+      message: error.message,
+    });
+  }
+});
 
-    if (isAttending) {
-      // Remove user from attendees
-      event.attendeesList = event.attendeesList.filter(
-        (id) => id.toString() !== userId.toString()
+// POST transfer ownership to a co-host (owner only). The previous owner
+// stays on as a co-host with every permission.
+// Body: { userId }
+router.post(
+  "/:id/transfer",
+  protect,
+  authorizeEvent("owner"),
+  async (req, res) => {
+    try {
+      const { userId } = req.body;
+      const { event } = req;
+
+      if (
+        !mongoose.Types.ObjectId.isValid(userId) ||
+        !getCoHost(event, userId)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Ownership can only be transferred to a co-host",
+        });
+      }
+
+      if (!(await User.exists({ _id: userId, isActive: true }))) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      const previousOwner = event.creator;
+      event.creator = userId;
+      event.coHosts = event.coHosts.filter(
+        (coHost) => coHost.user.toString() !== userId.toString()
       );
-      event.attendees = Math.max(0, event.attendees - 1);
+      if (previousOwner) {
+        event.coHosts.push({
+          user: previousOwner,
+          permissions: EVENT_PERMISSIONS,
+        });
+      }
+      await event.save();
 
-      // Remove event from user's attending list
+      if (previousOwner) {
+        await User.findByIdAndUpdate(previousOwner, {
+          $pull: { eventsCreated: event._id },
+        });
+      }
       await User.findByIdAndUpdate(userId, {
-        $pull: { eventsAttending: event._id },
+        $addToSet: { eventsCreated: event._id },
       });
-    } else {
-      // Check if event is at capacity
-      if (event.capacity && event.attendeesList.length >= event.capacity) {
-        return res.status(400).json({
+
+      await notify({
+        type: "event_transferred",
+        recipients: userId,
+        actor: req.user._id,
+        text: `${req.user.name} made you the owner of ${event.title}`,
+        event: event._id,
+      });
+
+      await event.populate("creator coHosts.user", "name avatar");
+
+      res.json({
+        success: true,
+        message: "Event ownership transferred",
+        event,
+      });
+    } catch (error) {
+      console.error("Error transferring event:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to transfer event",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE remove an attendee (owner and co-hosts who manage attendees). Their
+// ticket is cancelled and the spot goes to the waitlist.
+router.delete(
+  "/:id/attendees/:userId",
+  protect,
+  authorizeEvent("manage_attendees"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { event } = req;
+
+      const isAttending = event.attendeesList.some(
+        (id) => id.toString() === userId
+      );
+      const updated =
+        isAttending && (await Event.removeAttendee(event._id, userId));
+      if (!updated) {
+        return res.status(404).json({
           success: false,
-          error: "Event is at full capacity",
-          message: `This event has reached its maximum capacity of ${event.capacity} attendees`,
-          isFull: true,
+          error: "User is not attending this event",
         });
       }
 
-      // Add user to attendees
-      event.attendeesList.push(userId);
-      event.attendees += 1;
-
-      // Add event to user's attending list
       await User.findByIdAndUpdate(userId, {
-        $addToSet: { eventsAttending: event._id },
+        $pull: { eventsAttending: event._id },
+      });
+      await cancelTicket(event._id, userId);
+
+      if (!isEventOwner(event, userId) && !getCoHost(event, userId)) {
+        removeUserFromRoom(req.app.get("realtime"), userId, "event", event._id);
+      }
+
+      const promoted = await promoteWaitlistedUsers(event._id);
+      const current =
+        promoted.length > 0
+          ? (await Event.findById(event._id)) || updated
+          : updated;
+
+      if (promoted.length > 0) {
+        await notifyPromotedUsers(current, promoted);
+      }
+      await publishAttendance(req.app.get("realtime"), current);
+
+      res.json({
+        success: true,
+        message: "Attendee removed",
+        attendees: current.attendees,
+        promotedCount: promoted.length,
+      });
+    } catch (error) {
+      console.error("Error removing attendee:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to remove attendee",
+        message: error.message,
       });
     }
+  }
+);
 
-    await event.save();
-    await event.populate("creator", "name avatar");
-    await event.populate("attendeesList", "name avatar");
+// DELETE leave event waitlist
+router.delete("/:id/waitlist", protect, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
 
-    const newAttendingState = !isAttending;
-    console.log(`User ${userId} attendance status AFTER: ${newAttendingState}`);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: "Event not found",
+      });
+    }
+
+    const updated = await Event.removeFromWaitlist(event._id, req.user._id);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        error: "You are not on the waitlist for this event",
+      });
+    }
 
     res.json({
       success: true,
-      message: isAttending
-        ? "Removed from event attendees"
-        : "Added to event attendees",
-      event,
-      attending: newAttendingState,
-      spotsRemaining: event.capacity
-        ? event.capacity - event.attendeesList.length
-        : null,
+      message: "Removed from event waitlist",
+      waitlisted: false,
+      waitlistLength: updated.waitlist.length,
     });
   } catch (error) {
-    console.error("Error updating attendance:", error);
+    console.error("Error leaving waitlist:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update attendance",
+      error: "Failed to leave waitlist",
       message: error.message,
     });
   }
@@ -460,54 +2019,100 @@ router.post("/:id/save", protect, async (req, res) => {
   }
 });
 
-// PATCH update event status
-router.patch("/:id/status", protect, async (req, res) => {
-  try {
-    const { status } = req.body;
+// PATCH update event status (owner and co-hosts who can cancel)
+router.patch(
+  "/:id/status",
+  protect,
+  authorizeEvent("cancel"),
+  async (req, res) => {
+    try {
+      const { status, scope = "this" } = req.body;
 
-    // Validate status value
-    const validStatuses = ["draft", "published", "cancelled"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Invalid status value. Must be 'draft', 'published', or 'cancelled'",
-      });
-    }
+      if (!EDIT_SCOPES.includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid scope. Must be 'this', 'following', or 'all'",
+        });
+      }
 
-    const event = await Event.findById(req.params.id);
+      // Validate status value
+      const validStatuses = ["draft", "published", "cancelled"];
+      if (!status || !validStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Invalid status value. Must be 'draft', 'published', or 'cancelled'",
+        });
+      }
 
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        error: "Event not found",
-      });
-    }
+      const { event } = req;
 
-    // Check if user is the creator
-    if (event.creator && event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+      // Events that have happened keep their status
+      if (event.status === "completed") {
+        return res.status(400).json({
+          success: false,
+          error: "Event has already ended",
+        });
+      }
+
+      // Change the status of several occurrences of a recurring event, the
+      // ones the user may cancel that haven't ended
+      if (event.series && scope !== "this") {
+        const seriesFilter = {
+          ...getSeriesFilter(event, scope),
+          ...eventPermissionFilter(req.user._id, "cancel"),
+          status: { $ne: "completed" },
+        };
+
+        // Occurrences being cancelled now, so their attendees can be told
+        const cancelling =
+          status === "cancelled"
+            ? await Event.find({
+                ...seriesFilter,
+                status: { $nin: ["cancelled", "completed"] },
+              }).select("title date attendeesList")
+            : [];
+
+        const result = await Event.updateMany(seriesFilter, {
+          status,
+          updatedAt: Date.now(),
+        });
+        const updatedEvent = await Event.findById(req.params.id);
+
+        await notifyEventCancelled(cancelling, req.user._id);
+
+        return res.json({
+          success: true,
+          message: `Status updated to ${status} for ${result.modifiedCount} occurrences`,
+          event: updatedEvent,
+          updatedCount: result.modifiedCount,
+        });
+      }
+
+      const isCancelling =
+        status === "cancelled" && event.status !== "cancelled";
+
+      event.status = status;
+      await event.save();
+
+      if (isCancelling) {
+        await notifyEventCancelled([event], req.user._id);
+      }
+
+      res.json({
+        success: true,
+        message: `Event status updated to ${status}`,
+        event,
+      });
+    } catch (error) {
+      console.error("Error updating event status:", error);
+      res.status(500).json({
         success: false,
-        error: "Only the event creator can change its status",
+        error: "Failed to update event status",
+        message: error.message,
       });
     }
-
-    event.status = status;
-    await event.save();
-
-    res.json({
-      success: true,
-      message: `Event status updated to ${status}`,
-      event,
-    });
-  } catch (error) {
-    console.error("Error updating event status:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to update event status",
-      message: error.message,
-    });
   }
-});
+);
 
 module.exports = router;
@@ -1,14 +1,160 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Group = require("../models/Group");
 const Post = require("../models/Post");
 const Comment = require("../models/Comment");
-const { protect: auth } = require("../middleware/auth");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { protect: auth, optionalAuth } = require("../middleware/auth");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { removeUserFromRoom } = require("../services/chatRooms");
+const { notify } = require("../services/notifications");
+const { recordAudit } = require("../services/auditLog");
+const {
+  deletePost,
+  deleteComment,
+  deleteGroup,
+} = require("../services/contentRemoval");
+const { notEndedFilter } = require("../services/eventLifecycle");
+const { visibleEventsFilter } = require("../services/groupEvents");
+const {
+  isGroupMember,
+  isGroupAdmin,
+  getGroupRole,
+  hasGroupRole,
+  canModerateGroup,
+  canRemoveMember,
+  canViewGroupContent,
+  getGroupManagers,
+  toPublicGroup,
+} = require("../services/groupAccess");
+
+// Fields the group and post lists can be sorted by
+const GROUP_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "name",
+  "memberCount",
+  "postCount",
+];
+const POST_SORT_FIELDS = ["isPinned", "createdAt", "likeCount", "commentCount"];
+
+// Parse a sort string and check it only uses allowed fields
+const parseAllowedSort = (sort, allowedFields) => {
+  const sortFields = parseSort(sort);
+  const invalid = sortFields.find(
+    ({ field }) => field !== "_id" && !allowedFields.includes(field)
+  );
+  return invalid ? null : sortFields;
+};
+
+// Where a user stands with a group: member, banned, invited, requested or
+// none. Needs joinRequests, invites and bans selected.
+const getMembershipStatus = (group, userId) => {
+  if (!userId) return "none";
+  if (isGroupMember(group, userId)) return "member";
+
+  const hasEntry = (list) =>
+    (list || []).some((entry) => entry.user.toString() === userId.toString());
+  if (hasEntry(group.bans)) return "banned";
+  if (hasEntry(group.invites)) return "invited";
+  if (hasEntry(group.joinRequests)) return "requested";
+  return "none";
+};
+
+// Load a group for the routes that need a role, replying 404 or 403 when
+// the group doesn't exist or the user's role is lower than `role`
+// ("moderator" or "admin"). Extra fields can be selected, e.g.
+// "+joinRequests".
+const findGroupWithRole = async (req, res, role, select = "") => {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Group.findById(req.params.id).select(select)
+    : null;
+
+  if (!group) {
+    res.status(404).json({ success: false, message: "Group not found" });
+    return null;
+  }
+
+  if (!hasGroupRole(group, req.user._id, role)) {
+    res.status(403).json({
+      success: false,
+      message:
+        role === "admin"
+          ? "Only group admins can manage members"
+          : "Only group moderators and admins can manage members",
+    });
+    return null;
+  }
+
+  return group;
+};
+
+// Load a post, or null when it doesn't exist or sits in a private group
+// the user (or visitor, without userId) isn't a member of
+const findVisiblePost = async (postId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) return null;
+
+  const post = await Post.findById(postId);
+  if (!post) return null;
+
+  const group = await Group.findById(post.group).select(
+    "isPrivate creator members admins moderators"
+  );
+  if (!group || !canViewGroupContent(group, userId)) return null;
+
+  const isAuthor = !!userId && post.author.toString() === userId.toString();
+  if (post.isHidden && !isAuthor && !canModerateGroup(group, userId)) {
+    return null;
+  }
+
+  return userId && (await User.isBlockedBetween(userId, post.author))
+    ? null
+    : post;
+};
+
+// Helper to filter the posts or comments a user sees. Hidden ones are left
+// out except for their authors and the group's moderators, and so is
+// anything by users blocked either way.
+const visibleContentFilter = async (group, userId) => {
+  if (!userId) return { isHidden: { $ne: true } };
+
+  const blockedIds = await User.getBlockedIds(userId);
+  const filter = blockedIds.length > 0 ? { author: { $nin: blockedIds } } : {};
+  if (canModerateGroup(group, userId)) return filter;
+
+  return {
+    ...filter,
+    $or: [{ isHidden: { $ne: true } }, { author: userId }],
+  };
+};
+
+// Helper to take a user out of a group's members and roles
+const removeFromGroup = (group, userId) => {
+  const others = (list) => list.filter((id) => id.toString() !== userId);
+  group.members = others(group.members);
+  group.admins = others(group.admins);
+  group.moderators = others(group.moderators);
+};
+
+// Helper to build the public URL of an invite link
+const getInviteUrl = (req, token) => {
+  const baseUrl =
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl.replace(/\/$/, "")}/api/groups/invite-links/${token}`;
+};
 
 // @route   GET /api/groups
 // @desc    Get all groups with filters
-// @access  Public
-router.get("/", async (req, res) => {
+// @access  Public (private groups without their members)
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const { category, search, sort = "-createdAt" } = req.query;
 
@@ -24,26 +170,191 @@ router.get("/", async (req, res) => {
       query.$text = { $search: search };
     }
 
-    const groups = await Group.find(query)
+    const sortFields = parseAllowedSort(sort, GROUP_SORT_FIELDS);
+    if (!sortFields) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed fields: ${GROUP_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const results = await Group.find(
+      applyCursor(query, pagination.cursorFilter)
+    )
       .populate("creator", "name email avatar")
-      .sort(sort)
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
       .lean();
 
-    res.json({ success: true, count: groups.length, data: groups });
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    // Private groups are listed, but only members see who's in them
+    const groups = items.map((group) =>
+      canViewGroupContent(group, req.user && req.user._id)
+        ? group
+        : toPublicGroup(group)
+    );
+
+    res.json({
+      success: true,
+      count: groups.length,
+      data: groups,
+      nextCursor,
+      hasMore,
+    });
   } catch (error) {
     console.error("Error fetching groups:", error);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+// @route   GET /api/groups/invites/me
+// @desc    Get the current user's pending group invitations
+// @access  Protected
+router.get("/invites/me", auth, async (req, res) => {
+  try {
+    const groups = await Group.find({ "invites.user": req.user._id })
+      .select("name description category avatar isPrivate memberCount invites")
+      .populate("invites.invitedBy", "name avatar")
+      .lean();
+
+    const invitations = groups.map(({ invites, ...group }) => {
+      const invite = invites.find(
+        (item) => item.user.toString() === req.user.id
+      );
+      return {
+        group,
+        invitedBy: invite.invitedBy,
+        createdAt: invite.createdAt,
+      };
+    });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   GET /api/groups/invite-links/:token
+// @desc    Preview the group behind an invite link
+// @access  Public
+router.get("/invite-links/:token", async (req, res) => {
+  try {
+    const group = await Group.findByInviteToken(req.params.token);
+
+    if (!group) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invite link not found" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        group: toPublicGroup(group),
+        expiresAt: group.inviteLink.expiresAt,
+        usable: Group.isInviteLinkUsable(group.inviteLink),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching invite link:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/invite-links/:token/join
+// @desc    Join a group with an invite link
+// @access  Protected
+router.post("/invite-links/:token/join", auth, async (req, res) => {
+  try {
+    const group = await Group.findByInviteToken(req.params.token);
+
+    if (!group) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invite link not found" });
+    }
+
+    const status = getMembershipStatus(group, req.user._id);
+
+    if (status === "member") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Already a member of this group" });
+    }
+
+    if (status === "banned") {
+      return res
+        .status(403)
+        .json({ success: false, message: "You are banned from this group" });
+    }
+
+    if (!Group.isInviteLinkUsable(group.inviteLink)) {
+      return res.status(410).json({
+        success: false,
+        message: "This invite link has expired or reached its use limit",
+      });
+    }
+
+    // Fails when someone else used the link at the same moment
+    const joined = await Group.addMember(
+      group._id,
+      req.user._id,
+      group.inviteLink
+    );
+    if (!joined) {
+      return res.status(409).json({
+        success: false,
+        message: "The invite link was just used, please try again",
+      });
+    }
+
+    await notify({
+      type: "group_join",
+      recipients: getGroupManagers(group),
+      actor: req.user._id,
+      text: `${req.user.name} joined ${group.name}`,
+      group: group._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Joined group successfully",
+      joined: true,
+      groupId: group._id,
+    });
+  } catch (error) {
+    console.error("Error joining with invite link:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // @route   GET /api/groups/:id
 // @desc    Get single group by ID
-// @access  Public
-router.get("/:id", async (req, res) => {
+// @access  Public (the members of private groups for members only)
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
+      .select("+joinRequests +invites +bans")
       .populate("creator", "name email avatar")
       .populate("admins", "name email avatar")
+      .populate("moderators", "name email avatar")
       .populate("members", "name email avatar");
 
     if (!group) {
@@ -52,7 +363,26 @@ router.get("/:id", async (req, res) => {
         .json({ success: false, message: "Group not found" });
     }
 
-    res.json({ success: true, data: group });
+    const userId = req.user && req.user._id;
+    const data = canViewGroupContent(group, userId)
+      ? group.toObject()
+      : toPublicGroup(group);
+    // Requests, invitations and bans have their own routes
+    delete data.joinRequests;
+    delete data.invites;
+    delete data.bans;
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        membershipStatus: getMembershipStatus(group, userId),
+        role: getGroupRole(group, userId),
+        ...(isGroupAdmin(group, userId) && {
+          pendingRequestCount: group.joinRequests.length,
+        }),
+      },
+    });
   } catch (error) {
     console.error("Error fetching group:", error);
     res.status(500).json({ success: false, message: "Server error" });
@@ -174,15 +504,17 @@ router.delete("/:id", auth, async (req, res) => {
         });
     }
 
-    // Delete all posts and comments in the group
-    const posts = await Post.find({ group: req.params.id });
-    const postIds = posts.map((post) => post._id);
-    await Comment.deleteMany({ post: { $in: postIds } });
-    await Post.deleteMany({ group: req.params.id });
-
-    await group.deleteOne();
+    const cancelledEvents = await deleteGroup(
+      group,
+      req.app.get("realtime"),
+      req.user._id
+    );
 
-    res.json({ success: true, message: "Group deleted successfully" });
+    res.json({
+      success: true,
+      message: "Group deleted successfully",
+      cancelledEvents,
+    });
   } catch (error) {
     console.error("Error deleting group:", error);
     res.status(500).json({ success: false, message: "Server error" });
@@ -190,11 +522,14 @@ router.delete("/:id", auth, async (req, res) => {
 });
 
 // @route   POST /api/groups/:id/join
-// @desc    Join group
+// @desc    Join group. Private groups get a join request instead, unless
+//          the user was invited.
 // @access  Protected
 router.post("/:id/join", auth, async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
+    const group = await Group.findById(req.params.id).select(
+      "+joinRequests +invites +bans"
+    );
 
     if (!group) {
       return res
@@ -202,19 +537,60 @@ router.post("/:id/join", auth, async (req, res) => {
         .json({ success: false, message: "Group not found" });
     }
 
-    // Check if already a member
-    const isMember = group.members.some(
-      (member) => member.toString() === req.user.id
-    );
+    const status = getMembershipStatus(group, req.user._id);
 
-    if (isMember) {
+    if (status === "member") {
       return res
         .status(400)
         .json({ success: false, message: "Already a member of this group" });
     }
 
-    group.members.push(req.user.id);
-    await group.save();
+    if (status === "banned") {
+      return res
+        .status(403)
+        .json({ success: false, message: "You are banned from this group" });
+    }
+
+    if (group.isPrivate && status !== "invited") {
+      if (status === "requested") {
+        return res.status(400).json({
+          success: false,
+          message: "You have already asked to join this group",
+        });
+      }
+
+      group.joinRequests.push({
+        user: req.user._id,
+        message: req.body.message,
+      });
+      await group.save();
+
+      await notify({
+        type: "group_join_request",
+        recipients: getGroupManagers(group),
+        actor: req.user._id,
+        text: `${req.user.name} asked to join ${group.name}`,
+        group: group._id,
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: "Join request sent to the group admins",
+        joined: false,
+        requested: true,
+      });
+    }
+
+    await Group.addMember(group._id, req.user._id);
+
+    // Let the group's creator and admins know
+    await notify({
+      type: "group_join",
+      recipients: getGroupManagers(group),
+      actor: req.user._id,
+      text: `${req.user.name} joined ${group.name}`,
+      group: group._id,
+    });
 
     res.json({
       success: true,
@@ -223,6 +599,12 @@ router.post("/:id/join", auth, async (req, res) => {
     });
   } catch (error) {
     console.error("Error joining group:", error);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res
+        .status(400)
+        .json({ success: false, message: messages.join(", ") });
+    }
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -255,13 +637,24 @@ router.post("/:id/leave", auth, async (req, res) => {
       (member) => member.toString() !== req.user.id
     );
 
-    // Remove from admins if admin
+    // Remove from admins and moderators if they were one
     group.admins = group.admins.filter(
       (admin) => admin.toString() !== req.user.id
     );
+    group.moderators = group.moderators.filter(
+      (moderator) => moderator.toString() !== req.user.id
+    );
 
     await group.save();
 
+    // Members only, so leaving also leaves the group chat room
+    removeUserFromRoom(
+      req.app.get("realtime"),
+      req.user.id,
+      "group",
+      group._id
+    );
+
     res.json({
       success: true,
       message: "Left group successfully",
@@ -273,19 +666,834 @@ router.post("/:id/leave", auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/groups/:id/requests
+// @desc    Get pending join requests
+// @access  Protected (Admin only)
+router.get("/:id/requests", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(req, res, "admin", "+joinRequests");
+    if (!group) return;
+
+    await group.populate("joinRequests.user", "name email avatar");
+
+    res.json({
+      success: true,
+      count: group.joinRequests.length,
+      data: group.joinRequests,
+    });
+  } catch (error) {
+    console.error("Error fetching join requests:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/:id/requests/:userId/approve
+// @desc    Approve a join request
+// @access  Protected (Admin only)
+router.post("/:id/requests/:userId/approve", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(req, res, "admin", "+joinRequests");
+    if (!group) return;
+
+    const { userId } = req.params;
+    const hasRequest = group.joinRequests.some(
+      (request) => request.user.toString() === userId
+    );
+    if (!hasRequest) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Join request not found" });
+    }
+
+    await Group.addMember(group._id, userId);
+
+    await recordAudit({
+      actor: req.user._id,
+      action: "join_request_approved",
+      group: group._id,
+      targetType: "User",
+      target: userId,
+    });
+
+    await notify({
+      type: "group_request_approved",
+      recipients: userId,
+      actor: req.user._id,
+      text: `Your request to join ${group.name} was approved`,
+      group: group._id,
+    });
+
+    res.json({ success: true, message: "Join request approved" });
+  } catch (error) {
+    console.error("Error approving join request:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   DELETE /api/groups/:id/requests/:userId
+// @desc    Reject a join request (admins) or withdraw your own
+// @access  Protected
+router.delete("/:id/requests/:userId", auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.id) {
+      const group = await findGroupWithRole(req, res, "admin");
+      if (!group) return;
+    }
+
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Group.updateOne(
+          { _id: req.params.id, "joinRequests.user": userId },
+          { $pull: { joinRequests: { user: userId } } }
+        )
+      : { modifiedCount: 0 };
+
+    if (result.modifiedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Join request not found" });
+    }
+
+    if (userId !== req.user.id) {
+      await recordAudit({
+        actor: req.user._id,
+        action: "join_request_rejected",
+        group: req.params.id,
+        targetType: "User",
+        target: userId,
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        userId === req.user.id
+          ? "Join request withdrawn"
+          : "Join request rejected",
+    });
+  } catch (error) {
+    console.error("Error removing join request:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   GET /api/groups/:id/invites
+// @desc    Get pending invitations and invite links
+// @access  Protected (Admin only)
+router.get("/:id/invites", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(
+      req,
+      res,
+      "admin",
+      "+invites +inviteLinks"
+    );
+    if (!group) return;
+
+    await group.populate("invites.user", "name email avatar");
+
+    res.json({
+      success: true,
+      data: {
+        invites: group.invites,
+        inviteLinks: group.inviteLinks.map((link) => ({
+          _id: link._id,
+          createdBy: link.createdBy,
+          expiresAt: link.expiresAt,
+          maxUses: link.maxUses,
+          uses: link.uses,
+          usable: Group.isInviteLinkUsable(link),
+          createdAt: link.createdAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching invites:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/:id/invites
+// @desc    Invite a user to the group. Users who already asked to join are
+//          added right away.
+// @access  Protected (Admin only)
+router.post("/:id/invites", auth, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A valid userId is required" });
+    }
+
+    const group = await findGroupWithRole(
+      req,
+      res,
+      "admin",
+      "+joinRequests +invites +bans"
+    );
+    if (!group) return;
+
+    const status = getMembershipStatus(group, userId);
+
+    if (status === "member") {
+      return res
+        .status(400)
+        .json({ success: false, message: "User is already a member" });
+    }
+
+    if (status === "invited") {
+      return res
+        .status(400)
+        .json({ success: false, message: "User has already been invited" });
+    }
+
+    if (status === "banned") {
+      return res
+        .status(400)
+        .json({ success: false, message: "User is banned from this group" });
+    }
+
+    if (!(await User.exists({ _id: userId, isActive: true }))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (status === "requested") {
+      await Group.addMember(group._id, userId);
+      await notify({
+        type: "group_request_approved",
+        recipients: userId,
+        actor: req.user._id,
+        text: `Your request to join ${group.name} was approved`,
+        group: group._id,
+      });
+
+      return res.json({
+        success: true,
+        message: "User had asked to join and was added to the group",
+        joined: true,
+      });
+    }
+
+    group.invites.push({ user: userId, invitedBy: req.user._id });
+    await group.save();
+
+    await notify({
+      type: "group_invite",
+      recipients: userId,
+      actor: req.user._id,
+      text: `${req.user.name} invited you to join ${group.name}`,
+      group: group._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      joined: false,
+    });
+  } catch (error) {
+    console.error("Error inviting user:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/:id/invites/accept
+// @desc    Accept an invitation and join the group
+// @access  Protected
+router.post("/:id/invites/accept", auth, async (req, res) => {
+  try {
+    const group = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Group.findOne({
+          _id: req.params.id,
+          "invites.user": req.user._id,
+        })
+      : null;
+
+    if (!group) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invitation not found" });
+    }
+
+    await Group.addMember(group._id, req.user._id);
+
+    await notify({
+      type: "group_join",
+      recipients: getGroupManagers(group),
+      actor: req.user._id,
+      text: `${req.user.name} joined ${group.name}`,
+      group: group._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Joined group successfully",
+      joined: true,
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   DELETE /api/groups/:id/invites/:userId
+// @desc    Withdraw an invitation (admins) or decline your own
+// @access  Protected
+router.delete("/:id/invites/:userId", auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.id) {
+      const group = await findGroupWithRole(req, res, "admin");
+      if (!group) return;
+    }
+
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Group.updateOne(
+          { _id: req.params.id, "invites.user": userId },
+          { $pull: { invites: { user: userId } } }
+        )
+      : { modifiedCount: 0 };
+
+    if (result.modifiedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invitation not found" });
+    }
+
+    res.json({
+      success: true,
+      message:
+        userId === req.user.id ? "Invitation declined" : "Invitation withdrawn",
+    });
+  } catch (error) {
+    console.error("Error removing invitation:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/:id/invite-links
+// @desc    Create a shareable invite link. The token is only shown once.
+//          Body: { expiresInHours?, maxUses? }
+// @access  Protected (Admin only)
+router.post("/:id/invite-links", auth, async (req, res) => {
+  try {
+    const { expiresInHours, maxUses } = req.body;
+
+    if (
+      expiresInHours !== undefined &&
+      expiresInHours !== null &&
+      !(Number(expiresInHours) > 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresInHours must be a positive number",
+      });
+    }
+
+    if (
+      maxUses !== undefined &&
+      maxUses !== null &&
+      !(Number.isInteger(Number(maxUses)) && Number(maxUses) > 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "maxUses must be a positive whole number",
+      });
+    }
+
+    const group = await findGroupWithRole(req, res, "admin");
+    if (!group) return;
+
+    const { token, link } = await Group.createInviteLink(group._id, {
+      createdBy: req.user._id,
+      expiresAt: expiresInHours
+        ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000)
+        : null,
+      maxUses: maxUses ? Number(maxUses) : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: link._id,
+        token,
+        url: getInviteUrl(req, token),
+        expiresAt: link.expiresAt,
+        maxUses: link.maxUses,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating invite link:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   DELETE /api/groups/:id/invite-links/:linkId
+// @desc    Revoke an invite link
+// @access  Protected (Admin only)
+router.delete("/:id/invite-links/:linkId", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(req, res, "admin");
+    if (!group) return;
+
+    const result = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? await Group.updateOne(
+          { _id: group._id },
+          { $pull: { inviteLinks: { _id: req.params.linkId } } }
+        )
+      : { modifiedCount: 0 };
+
+    if (result.modifiedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invite link not found" });
+    }
+
+    res.json({ success: true, message: "Invite link revoked" });
+  } catch (error) {
+    console.error("Error revoking invite link:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   PATCH /api/groups/:id/members/:userId/role
+// @desc    Change a member's role. Body: { role: "admin" | "moderator" |
+//          "member" }. Only the creator can change an admin's role, but
+//          admins can step down themselves.
+// @access  Protected (Admin only)
+router.patch("/:id/members/:userId/role", auth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const { userId } = req.params;
+
+    if (!["admin", "moderator", "member"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'admin', 'moderator' or 'member'",
+      });
+    }
+
+    const group = await findGroupWithRole(req, res, "admin");
+    if (!group) return;
+
+    const currentRole = getGroupRole(group, userId);
+
+    if (!currentRole) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User is not a member" });
+    }
+
+    if (currentRole === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The group creator's role can't be changed",
+      });
+    }
+
+    if (
+      currentRole === "admin" &&
+      userId !== req.user.id &&
+      getGroupRole(group, req.user._id) !== "owner"
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the group creator can change an admin's role",
+      });
+    }
+
+    if (currentRole === role) {
+      return res
+        .status(400)
+        .json({ success: false, message: `User is already a ${role}` });
+    }
+
+    const others = (list) => list.filter((id) => id.toString() !== userId);
+    group.admins = others(group.admins);
+    group.moderators = others(group.moderators);
+    if (role === "admin") group.admins.push(userId);
+    if (role === "moderator") group.moderators.push(userId);
+    await group.save();
+
+    await recordAudit({
+      actor: req.user._id,
+      action: "role_changed",
+      group: group._id,
+      targetType: "User",
+      target: userId,
+      details: { from: currentRole, to: role },
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`,
+      role,
+    });
+  } catch (error) {
+    console.error("Error changing member role:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   DELETE /api/groups/:id/members/:userId
+// @desc    Remove a member. They can join again, ban them to stop that.
+// @access  Protected (Moderators and up, for members ranked below them)
+router.delete("/:id/members/:userId", auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const group = await findGroupWithRole(req, res, "moderator");
+    if (!group) return;
+
+    if (!isGroupMember(group, userId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User is not a member" });
+    }
+
+    if (!canRemoveMember(group, req.user._id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          getGroupRole(group, userId) === "owner"
+            ? "The group creator can't be removed"
+            : "You can only remove members with a lower role than yours",
+      });
+    }
+
+    const previousRole = getGroupRole(group, userId);
+    removeFromGroup(group, userId);
+    await group.save();
+
+    removeUserFromRoom(req.app.get("realtime"), userId, "group", group._id);
+
+    await recordAudit({
+      actor: req.user._id,
+      action: "member_removed",
+      group: group._id,
+      targetType: "User",
+      target: userId,
+      details: { role: previousRole, reason: req.body.reason },
+    });
+
+    res.json({ success: true, message: "Member removed" });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   GET /api/groups/:id/bans
+// @desc    Get banned users
+// @access  Protected (Moderators and up)
+router.get("/:id/bans", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(req, res, "moderator", "+bans");
+    if (!group) return;
+
+    await group.populate([
+      { path: "bans.user", select: "name email avatar" },
+      { path: "bans.bannedBy", select: "name avatar" },
+    ]);
+
+    res.json({ success: true, count: group.bans.length, data: group.bans });
+  } catch (error) {
+    console.error("Error fetching bans:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   POST /api/groups/:id/bans
+// @desc    Ban a user: removes them and stops them joining again.
+//          Body: { userId, reason? }
+// @access  Protected (Moderators and up, for users ranked below them)
+router.post("/:id/bans", auth, async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A valid userId is required" });
+    }
+
+    const group = await findGroupWithRole(
+      req,
+      res,
+      "moderator",
+      "+bans +joinRequests +invites"
+    );
+    if (!group) return;
+
+    if (getMembershipStatus(group, userId) === "banned") {
+      return res
+        .status(400)
+        .json({ success: false, message: "User is already banned" });
+    }
+
+    if (!canRemoveMember(group, req.user._id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          getGroupRole(group, userId) === "owner"
+            ? "The group creator can't be banned"
+            : "You can only ban users with a lower role than yours",
+      });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const wasMember = isGroupMember(group, userId);
+    removeFromGroup(group, userId);
+    group.joinRequests = group.joinRequests.filter(
+      (request) => request.user.toString() !== userId
+    );
+    group.invites = group.invites.filter(
+      (invite) => invite.user.toString() !== userId
+    );
+    group.bans.push({ user: userId, bannedBy: req.user._id, reason });
+    await group.save();
+
+    if (wasMember) {
+      removeUserFromRoom(req.app.get("realtime"), userId, "group", group._id);
+    }
+
+    await recordAudit({
+      actor: req.user._id,
+      action: "member_banned",
+      group: group._id,
+      targetType: "User",
+      target: userId,
+      details: { reason },
+    });
+
+    res.status(201).json({ success: true, message: "User banned" });
+  } catch (error) {
+    console.error("Error banning user:", error);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res
+        .status(400)
+        .json({ success: false, message: messages.join(", ") });
+    }
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   DELETE /api/groups/:id/bans/:userId
+// @desc    Lift a ban. The user can ask to join again.
+// @access  Protected (Moderators and up)
+router.delete("/:id/bans/:userId", auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const group = await findGroupWithRole(req, res, "moderator");
+    if (!group) return;
+
+    const result = mongoose.Types.ObjectId.isValid(userId)
+      ? await Group.updateOne(
+          { _id: group._id, "bans.user": userId },
+          { $pull: { bans: { user: userId } } }
+        )
+      : { modifiedCount: 0 };
+
+    if (result.modifiedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Ban not found" });
+    }
+
+    await recordAudit({
+      actor: req.user._id,
+      action: "member_unbanned",
+      group: group._id,
+      targetType: "User",
+      target: userId,
+    });
+
+    res.json({ success: true, message: "Ban lifted" });
+  } catch (error) {
+    console.error("Error lifting ban:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   GET /api/groups/:id/audit-log
+// @desc    Get the group's audit trail, newest first (paginated)
+// @access  Protected (Admin only)
+router.get("/:id/audit-log", auth, async (req, res) => {
+  try {
+    const group = await findGroupWithRole(req, res, "admin");
+    if (!group) return;
+
+    const sortFields = parseSort("-createdAt");
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const results = await AuditLog.find(
+      applyCursor({ group: group._id }, pagination.cursorFilter)
+    )
+      .populate("actor", "name avatar")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items: entries, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// @route   GET /api/groups/:id/events
+// @desc    Get a group's upcoming events
+// @access  Public (members-only events for members)
+router.get("/:id/events", optionalAuth, async (req, res) => {
+  try {
+    const group = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Group.exists({ _id: req.params.id })
+      : null;
+
+    if (!group) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Group not found" });
+    }
+
+    const sortFields = parseSort({ dateTime: 1 });
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const query = {
+      group: req.params.id,
+      status: { $in: ["published", "ongoing"] },
+      ...notEndedFilter(new Date()),
+      $and: [await visibleEventsFilter(req.user && req.user._id)],
+    };
+
+    const results = await Event.find(
+      applyCursor(query, pagination.cursorFilter)
+    )
+      .select("-waitlist -attendeesList -coHostInvites")
+      .populate("creator", "name avatar")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items: events, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching group events:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // @route   GET /api/groups/:id/posts
 // @desc    Get all posts in a group
-// @access  Public
-router.get("/:id/posts", async (req, res) => {
+// @access  Public (Members only for private groups)
+router.get("/:id/posts", optionalAuth, async (req, res) => {
   try {
     const { sort = "-isPinned -createdAt" } = req.query;
 
-    const posts = await Post.find({ group: req.params.id })
+    const group = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Group.findById(req.params.id).select(
+          "isPrivate creator members admins moderators"
+        )
+      : null;
+
+    if (!group) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Group not found" });
+    }
+
+    if (!canViewGroupContent(group, req.user && req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "This group is private. Join it to see its posts",
+      });
+    }
+
+    const sortFields = parseAllowedSort(sort, POST_SORT_FIELDS);
+    if (!sortFields) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed fields: ${POST_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const filter = {
+      group: req.params.id,
+      ...(await visibleContentFilter(group, req.user && req.user._id)),
+    };
+    const results = await Post.find(
+      applyCursor(filter, pagination.cursorFilter)
+    )
       .populate("author", "name email avatar")
-      .sort(sort)
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
       .lean();
 
-    res.json({ success: true, count: posts.length, data: posts });
+    const { items: posts, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: posts.length,
+      data: posts,
+      nextCursor,
+      hasMore,
+    });
   } catch (error) {
     console.error("Error fetching posts:", error);
     res.status(500).json({ success: false, message: "Server error" });
@@ -361,26 +1569,28 @@ router.delete("/posts/:postId", auth, async (req, res) => {
 
     const group = await Group.findById(post.group);
 
-    // Check if user is author or admin
+    // Check if user is author, moderator or admin
     const isAuthor = post.author.toString() === req.user.id;
-    const isAdmin = group.admins.some(
-      (admin) => admin.toString() === req.user.id
-    );
 
-    if (!isAuthor && !isAdmin) {
+    if (!isAuthor && !canModerateGroup(group, req.user._id)) {
       return res
         .status(403)
         .json({ success: false, message: "Not authorized" });
     }
 
-    // Delete all comments on this post
-    await Comment.deleteMany({ post: req.params.postId });
-
-    await post.deleteOne();
-
-    // Update group post count
-    group.postCount = Math.max(0, group.postCount - 1);
-    await group.save();
+    // Delete the post with its comments
+    await deletePost(post);
+
+    if (!isAuthor) {
+      await recordAudit({
+        actor: req.user._id,
+        action: "post_deleted",
+        group: group._id,
+        targetType: "Post",
+        target: post._id,
+        details: { author: post.author },
+      });
+    }
 
     res.json({ success: true, message: "Post deleted successfully" });
   } catch (error) {
@@ -391,10 +1601,10 @@ router.delete("/posts/:postId", auth, async (req, res) => {
 
 // @route   POST /api/groups/posts/:postId/like
 // @desc    Toggle like on post
-// @access  Protected
+// @access  Protected (Members only for private groups)
 router.post("/posts/:postId/like", auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await findVisiblePost(req.params.postId, req.user._id);
 
     if (!post) {
       return res
@@ -413,6 +1623,14 @@ router.post("/posts/:postId/like", auth, async (req, res) => {
       // Like
       post.likes.push(req.user.id);
       await post.save();
+      await notify({
+        type: "post_like",
+        recipients: post.author,
+        actor: req.user._id,
+        text: `${req.user.name} liked your post`,
+        group: post.group,
+        post: post._id,
+      });
       res.json({ success: true, liked: true, likeCount: post.likeCount });
     }
   } catch (error) {
@@ -423,15 +1641,57 @@ router.post("/posts/:postId/like", auth, async (req, res) => {
 
 // @route   GET /api/groups/posts/:postId/comments
 // @desc    Get comments for a post
-// @access  Public
-router.get("/posts/:postId/comments", async (req, res) => {
+// @access  Public (Members only for private groups)
+router.get("/posts/:postId/comments", optionalAuth, async (req, res) => {
   try {
-    const comments = await Comment.find({ post: req.params.postId })
+    const post = await findVisiblePost(
+      req.params.postId,
+      req.user && req.user._id
+    );
+
+    if (!post) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Post not found" });
+    }
+
+    const sortFields = parseSort("-createdAt");
+
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const group = await Group.findById(post.group).select(
+      "creator members admins moderators"
+    );
+    const filter = {
+      post: post._id,
+      ...(await visibleContentFilter(group, req.user && req.user._id)),
+    };
+    const results = await Comment.find(
+      applyCursor(filter, pagination.cursorFilter)
+    )
       .populate("author", "name email avatar")
-      .sort("-createdAt")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
       .lean();
 
-    res.json({ success: true, count: comments.length, data: comments });
+    const { items: comments, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: comments.length,
+      data: comments,
+      nextCursor,
+      hasMore,
+    });
   } catch (error) {
     console.error("Error fetching comments:", error);
     res.status(500).json({ success: false, message: "Server error" });
@@ -440,10 +1700,10 @@ router.get("/posts/:postId/comments", async (req, res) => {
 
 // @route   POST /api/groups/posts/:postId/comments
 // @desc    Add comment to post
-// @access  Protected
+// @access  Protected (Members only for private groups)
 router.post("/posts/:postId/comments", auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await findVisiblePost(req.params.postId, req.user._id);
 
     if (!post) {
       return res
@@ -463,6 +1723,16 @@ router.post("/posts/:postId/comments", auth, async (req, res) => {
     post.commentCount += 1;
     await post.save();
 
+    await notify({
+      type: "post_comment",
+      recipients: post.author,
+      actor: req.user._id,
+      text: `${req.user.name} commented on your post`,
+      group: post.group,
+      post: post._id,
+      comment: comment._id,
+    });
+
     const populatedComment = await Comment.findById(comment._id).populate(
       "author",
       "name email avatar"
@@ -497,23 +1767,27 @@ router.delete("/comments/:commentId", auth, async (req, res) => {
     const post = await Post.findById(comment.post);
     const group = await Group.findById(post.group);
 
-    // Check if user is author or admin
+    // Check if user is author, moderator or admin
     const isAuthor = comment.author.toString() === req.user.id;
-    const isAdmin = group.admins.some(
-      (admin) => admin.toString() === req.user.id
-    );
 
-    if (!isAuthor && !isAdmin) {
+    if (!isAuthor && !canModerateGroup(group, req.user._id)) {
       return res
         .status(403)
         .json({ success: false, message: "Not authorized" });
     }
 
-    await comment.deleteOne();
-
-    // Update post comment count
-    post.commentCount = Math.max(0, post.commentCount - 1);
-    await post.save();
+    await deleteComment(comment);
+
+    if (!isAuthor) {
+      await recordAudit({
+        actor: req.user._id,
+        action: "comment_deleted",
+        group: group._id,
+        targetType: "Comment",
+        target: comment._id,
+        details: { author: comment.author, post: post._id },
+      });
+    }
 
     res.json({ success: true, message: "Comment deleted successfully" });
   } catch (error) {
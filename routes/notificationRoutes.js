@@ -0,0 +1,273 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+
+const { NOTIFICATION_TYPES } = Notification;
+
+// Get the current user's notifications, newest first
+// Query: unreadOnly=true, type, limit, cursor
+router.get("/", protect, async (req, res) => {
+  try {
+    const { unreadOnly, type } = req.query;
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+      });
+    }
+
+    const sortFields = parseSort("-createdAt");
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    const filter = { recipient: req.user._id };
+    if (unreadOnly === "true") filter.read = false;
+    if (type) filter.type = type;
+
+    const [results, unreadCount] = await Promise.all([
+      Notification.find(applyCursor(filter, pagination.cursorFilter))
+        .populate("actor", "name avatar")
+        .sort(pagination.sort)
+        .limit(pagination.limit + 1),
+      Notification.countDocuments({ recipient: req.user._id, read: false }),
+    ]);
+
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      notifications: items,
+      unreadCount,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notifications",
+      error: error.message,
+    });
+  }
+});
+
+// Get the number of unread notifications
+router.get("/unread-count", protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      read: false,
+    });
+
+    res.json({
+      success: true,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("Error fetching unread notification count:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching unread notification count",
+      error: error.message,
+    });
+  }
+});
+
+// Get the current user's notification preferences
+router.get("/preferences", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "notificationPreferences"
+    );
+
+    res.json({
+      success: true,
+      types: NOTIFICATION_TYPES,
+      muted: user.notificationPreferences?.muted || [],
+    });
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notification preferences",
+      error: error.message,
+    });
+  }
+});
+
+// Update muted notification types
+// Body: { muted: ["post_like", ...] }
+router.put("/preferences", protect, async (req, res) => {
+  try {
+    const { muted } = req.body;
+
+    if (
+      !Array.isArray(muted) ||
+      muted.some((type) => !NOTIFICATION_TYPES.includes(type))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Muted must be a list of: ${NOTIFICATION_TYPES.join(", ")}`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { "notificationPreferences.muted": [...new Set(muted)] },
+      { new: true }
+    ).select("notificationPreferences");
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated",
+      muted: user.notificationPreferences.muted,
+    });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification preferences",
+      error: error.message,
+    });
+  }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error marking notifications as read",
+      error: error.message,
+    });
+  }
+});
+
+// Mark one notification as read
+router.patch("/:id/read", protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID",
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      notification,
+    });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error marking notification as read",
+      error: error.message,
+    });
+  }
+});
+
+// Clear notifications (all of them, or only read ones with ?readOnly=true)
+router.delete("/", protect, async (req, res) => {
+  try {
+    const filter = { recipient: req.user._id };
+    if (req.query.readOnly === "true") filter.read = true;
+
+    const result = await Notification.deleteMany(filter);
+
+    res.json({
+      success: true,
+      message: "Notifications cleared",
+      deleted: result.deletedCount,
+    });
+  } catch (error) {
+    console.error("Error clearing notifications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing notifications",
+      error: error.message,
+    });
+  }
+});
+
+// Delete one notification
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID",
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Notification deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting notification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting notification",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
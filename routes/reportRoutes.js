@@ -0,0 +1,463 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const { protect, protectOrAppeal } = require("../middleware/auth");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const {
+  isPlatformAdmin,
+  findPrimaryReport,
+  loadReportTarget,
+  describeTarget,
+  canSeeReportTarget,
+  canReviewReport,
+  reviewableReportsFilter,
+  validateModerationAction,
+  resolveReport,
+  validateAppeal,
+  resolveAppeal,
+} = require("../services/moderation");
+
+const { REPORT_TARGET_TYPES, REPORT_REASONS, MODERATION_ACTIONS } = Report;
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+// Helper to page through reports matching a filter, newest first
+const findReports = async (req, res, filter, select) => {
+  const sortFields = parseSort("-createdAt");
+  const pagination = parsePagination(req.query, sortFields);
+  if (pagination.error) {
+    res.status(400).json({ success: false, message: pagination.error });
+    return null;
+  }
+
+  let query = Report.find(applyCursor(filter, pagination.cursorFilter))
+    .populate("targetUser", "name avatar")
+    .sort(pagination.sort)
+    .limit(pagination.limit + 1);
+  if (select) query = query.select(select);
+
+  return buildPage(await query, pagination.limit, sortFields);
+};
+
+// Helper to load a report by ID, replying 404 if there is none
+const findReport = async (req, res) => {
+  const report = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Report.findById(req.params.id)
+    : null;
+
+  if (!report) {
+    res.status(404).json({ success: false, message: "Report not found" });
+  }
+  return report;
+};
+
+// Report a post, comment, message, event or user
+// Body: { targetType, target, reason, details }
+router.post("/", protect, async (req, res) => {
+  try {
+    const { targetType, target: targetId, reason, details } = req.body;
+
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Target type must be one of: ${REPORT_TARGET_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(", ")}`,
+      });
+    }
+
+    const target = await loadReportTarget(targetType, targetId);
+    if (
+      !target ||
+      !(await canSeeReportTarget(targetType, target, req.user._id))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: `${targetType} not found`,
+      });
+    }
+
+    const { targetUser, group } = await describeTarget(targetType, target);
+    if (targetUser && targetUser.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't report yourself or your own content",
+      });
+    }
+
+    const alreadyReported = await Report.exists({
+      reporter: req.user._id,
+      target: target._id,
+      status: "open",
+    });
+    if (alreadyReported) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reported this",
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      target: target._id,
+      targetUser,
+      group,
+      reason,
+      details,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Report submitted, thank you",
+      report,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    console.error("Error creating report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating report",
+      error: error.message,
+    });
+  }
+});
+
+// Get the reports the current user submitted
+// Query: limit, cursor
+router.get("/mine", protect, async (req, res) => {
+  try {
+    const page = await findReports(req, res, { reporter: req.user._id });
+    if (!page) return;
+
+    res.json({
+      success: true,
+      reports: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reports",
+      error: error.message,
+    });
+  }
+});
+
+// Get the actions taken against the current user, to appeal them. Works
+// with the appeal token a suspended user gets at login. Reporters stay
+// anonymous, and each action is listed once, on the report it was taken on.
+// Query: limit, cursor
+router.get("/against-me", protectOrAppeal, async (req, res) => {
+  try {
+    const page = await findReports(
+      req,
+      res,
+      { targetUser: req.user._id, status: "resolved", primaryReport: null },
+      "-reporter"
+    );
+    if (!page) return;
+
+    res.json({
+      success: true,
+      reports: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reports",
+      error: error.message,
+    });
+  }
+});
+
+// Get the moderation queue: every report for platform admins, reports
+// about their groups' content for group moderators
+// Query: status (default open), appeal=pending, targetType, group, limit,
+// cursor
+router.get("/queue", protect, async (req, res) => {
+  try {
+    const { status = "open", appeal, targetType, group } = req.query;
+
+    if (appeal !== "pending" && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${REPORT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const filter = await reviewableReportsFilter(req.user);
+    if (filter.group && filter.group.$in.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't moderate any groups",
+      });
+    }
+
+    const conditions = [filter];
+    // Pending appeals are on resolved reports, so they replace the status
+    if (appeal === "pending") {
+      conditions.push({ "appeal.status": "pending" });
+    } else {
+      conditions.push({ status });
+    }
+    if (targetType) conditions.push({ targetType });
+    if (group && mongoose.Types.ObjectId.isValid(group)) {
+      conditions.push({ group });
+    }
+
+    const page = await findReports(req, res, { $and: conditions });
+    if (!page) return;
+
+    await Report.populate(page.items, {
+      path: "reporter",
+      select: "name avatar",
+    });
+
+    res.json({
+      success: true,
+      reports: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching moderation queue",
+      error: error.message,
+    });
+  }
+});
+
+// Get a report with what it's about (reporter or reviewers)
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const isReporter = report.reporter.toString() === req.user._id.toString();
+    const canReview = await canReviewReport(report, req.user);
+    if (!isReporter && !canReview) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    await report.populate([
+      { path: "reporter", select: "name avatar" },
+      { path: "targetUser", select: "name avatar" },
+    ]);
+
+    res.json({
+      success: true,
+      report,
+      // Reviewers see the content as it is now, null once it's deleted
+      target: canReview
+        ? await loadReportTarget(report.targetType, report.target)
+        : undefined,
+    });
+  } catch (error) {
+    console.error("Error fetching report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching report",
+      error: error.message,
+    });
+  }
+});
+
+// Resolve a report (reviewers)
+// Body: { action: "hide" | "delete" | "warn" | "suspend" | "dismiss", note }
+router.post("/:id/resolve", protect, async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const actions = [...MODERATION_ACTIONS, "dismiss"];
+
+    if (!actions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${actions.join(", ")}`,
+      });
+    }
+
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    if (!(await canReviewReport(report, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to review this report",
+      });
+    }
+
+    const error = validateModerationAction(report, action, req.user);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (
+      action === "suspend" &&
+      (await User.exists({ _id: report.targetUser, role: "admin" }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Platform admins can't be suspended",
+      });
+    }
+
+    await resolveReport(
+      report,
+      { action, note, moderator: req.user },
+      req.app.get("realtime")
+    );
+
+    res.json({
+      success: true,
+      message: action === "dismiss" ? "Report dismissed" : "Report resolved",
+      report,
+    });
+  } catch (error) {
+    console.error("Error resolving report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resolving report",
+      error: error.message,
+    });
+  }
+});
+
+// Appeal the action taken on a report (the user it was about, once).
+// Appealing a report that was resolved along with another one appeals that
+// one, since they share the action. Works with the appeal token a suspended
+// user gets at login.
+// Body: { message }
+router.post("/:id/appeal", protectOrAppeal, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please explain why the action should be reversed",
+      });
+    }
+
+    const found = await findReport(req, res);
+    if (!found) return;
+
+    const report = await findPrimaryReport(found);
+    const error = validateAppeal(report, req.user._id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    report.appeal = {
+      status: "pending",
+      message: message.trim(),
+      createdAt: new Date(),
+    };
+    await report.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Appeal submitted",
+      report: report._id,
+      appeal: report.appeal,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    console.error("Error appealing report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error appealing report",
+      error: error.message,
+    });
+  }
+});
+
+// Decide a pending appeal (reviewers; platform admins for suspensions)
+// Body: { decision: "accepted" | "rejected", note }
+router.post("/:id/appeal/resolve", protect, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!["accepted", "rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be accepted or rejected",
+      });
+    }
+
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const allowed =
+      report.action === "suspend"
+        ? isPlatformAdmin(req.user)
+        : await canReviewReport(report, req.user);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to decide this appeal",
+      });
+    }
+
+    if (report.appeal.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "This report has no pending appeal",
+      });
+    }
+
+    await resolveAppeal(report, { decision, note, moderator: req.user });
+
+    res.json({
+      success: true,
+      message: `Appeal ${decision}`,
+      report,
+    });
+  } catch (error) {
+    console.error("Error resolving appeal:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resolving appeal",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Event = require("../models/Event");
 const Group = require("../models/Group");
 const { protect: auth } = require("../middleware/auth");
+const {
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require("../utils/pagination");
+const { endedFilter } = require("../services/eventLifecycle");
+const { visibleEventsFilter } = require("../services/groupEvents");
 const {
   uploadAvatar,
   handleUploadError,
@@ -71,6 +80,12 @@ router.get("/recommendations", auth, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Never recommend blocked users, or users who blocked this one
+    const excludedIds = [
+      currentUser._id,
+      ...(await User.getBlockedIds(currentUser._id)),
+    ];
+
     console.log("✅ Current user found:", currentUser.name);
     console.log("📊 User has:", {
       savedEvents: currentUser.savedEvents?.length || 0,
@@ -102,7 +117,7 @@ router.get("/recommendations", auth, async (req, res) => {
     let recommendedUsers = [];
     if (userEventIds.length > 0) {
       recommendedUsers = await User.find({
-        _id: { $ne: req.user.id }, // Exclude current user
+        _id: { $nin: excludedIds },
         $or: [
           { savedEvents: { $in: userEventIds } },
           { eventsAttending: { $in: userEventIds } },
@@ -124,7 +139,7 @@ router.get("/recommendations", auth, async (req, res) => {
         .populate({
           path: "members",
           select: "name email avatar bio",
-          match: { _id: { $ne: req.user.id } },
+          match: { _id: { $nin: excludedIds } },
         })
         .select("members");
       console.log("🔍 Found", groupUsers.length, "groups with members");
@@ -134,7 +149,7 @@ router.get("/recommendations", auth, async (req, res) => {
     if (recommendedUsers.length === 0 && groupUsers.length === 0) {
       console.log("🎲 No matches, getting random users...");
       recommendedUsers = await User.find({
-        _id: { $ne: req.user.id },
+        _id: { $nin: excludedIds },
         isActive: true,
       })
         .select("name email avatar bio")
@@ -193,8 +208,9 @@ router.get("/search", auth, async (req, res) => {
       return res.json([]);
     }
 
+    const blockedIds = await User.getBlockedIds(req.user._id);
     const users = await User.find({
-      _id: { $ne: req.user.id },
+      _id: { $nin: [req.user._id, ...blockedIds] },
       $or: [
         { name: { $regex: query, $options: "i" } },
         { email: { $regex: query, $options: "i" } },
@@ -210,6 +226,302 @@ router.get("/search", auth, async (req, res) => {
   }
 });
 
+// Get upcoming events created or attended by the people I follow
+router.get("/feed/following", auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select("following");
+
+    // Skip deactivated accounts
+    const followedUsers = await User.find({
+      _id: { $in: currentUser.following },
+      isActive: true,
+    }).select("name avatar");
+    const followedById = new Map(
+      followedUsers.map((user) => [user._id.toString(), user])
+    );
+    const followedIds = followedUsers.map((user) => user._id);
+
+    const sortFields = parseSort({ dateTime: 1 });
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    // Events reached through a followed attendee can be created by
+    // someone blocked either way
+    const blockedIds = await User.getBlockedIds(req.user._id);
+
+    const query = {
+      status: "published",
+      dateTime: { $gte: new Date() },
+      creator: { $nin: blockedIds },
+      $or: [
+        { creator: { $in: followedIds } },
+        { attendeesList: { $in: followedIds } },
+      ],
+      // Members-only group events are left out for non-members
+      $and: [await visibleEventsFilter(req.user._id)],
+    };
+
+    const results = await Event.find(
+      applyCursor(query, pagination.cursorFilter)
+    )
+      .select("-waitlist")
+      .populate("creator", "name avatar")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    // Show which followed users are attending each event
+    const events = items.map(({ attendeesList, ...event }) => ({
+      ...event,
+      followedAttendees: attendeesList
+        .map((id) => followedById.get(id.toString()))
+        .filter(Boolean),
+    }));
+
+    res.json({
+      success: true,
+      count: events.length,
+      events,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error getting following feed:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get past events the current user attended, most recent first
+router.get("/me/events/past", auth, async (req, res) => {
+  try {
+    const sortFields = parseSort({ dateTime: -1 });
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    const query = {
+      attendeesList: req.user._id,
+      status: { $in: ["published", "ongoing", "completed"] },
+      ...endedFilter(new Date()),
+    };
+
+    const results = await Event.find(
+      applyCursor(query, pagination.cursorFilter)
+    )
+      .select("-waitlist -attendeesList")
+      .populate("creator", "name avatar")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items: events, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: events.length,
+      events,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error getting past events:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get the users I blocked
+router.get("/me/blocked", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("+blockedUsers")
+      .populate("blockedUsers", "name avatar");
+
+    res.json({
+      success: true,
+      count: user.blockedUsers.length,
+      users: user.blockedUsers,
+    });
+  } catch (error) {
+    console.error("Error getting blocked users:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Follow a user
+router.post("/:userId/follow", auth, async (req, res) => {
+  try {
+    const targetId = req.params.userId;
+
+    if (targetId === req.user.id) {
+      return res.status(400).json({ message: "You cannot follow yourself" });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(targetId)
+      ? await User.findOne({ _id: targetId, isActive: true })
+      : null;
+    if (!target) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, target._id)) {
+      return res.status(403).json({ message: "You can't follow this user" });
+    }
+
+    const followed = await User.follow(req.user._id, target._id);
+
+    res.json({
+      success: true,
+      message: followed ? "User followed" : "Already following this user",
+      following: true,
+    });
+  } catch (error) {
+    console.error("Error following user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Unfollow a user
+router.delete("/:userId/follow", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const unfollowed = await User.unfollow(req.user._id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: unfollowed
+        ? "User unfollowed"
+        : "You are not following this user",
+      following: false,
+    });
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Block a user
+router.post("/:userId/block", auth, async (req, res) => {
+  try {
+    const targetId = req.params.userId;
+
+    if (targetId === req.user.id) {
+      return res.status(400).json({ message: "You cannot block yourself" });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(targetId)
+      ? await User.exists({ _id: targetId })
+      : null;
+    if (!target) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const blocked = await User.block(req.user._id, target._id);
+
+    res.json({
+      success: true,
+      message: blocked ? "User blocked" : "User is already blocked",
+      blocked: true,
+    });
+  } catch (error) {
+    console.error("Error blocking user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Unblock a user
+router.delete("/:userId/block", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const unblocked = await User.unblock(req.user._id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: unblocked ? "User unblocked" : "This user is not blocked",
+      blocked: false,
+    });
+  } catch (error) {
+    console.error("Error unblocking user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Helper to list users related to a user through followers/following
+const listFollowUsers = (relation) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const sortFields = parseSort({});
+    const pagination = parsePagination(req.query, sortFields);
+    if (pagination.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: pagination.error });
+    }
+
+    // Followers of X are the users whose following list contains X
+    const field = relation === "followers" ? "following" : "followers";
+    const query = {
+      _id: { $nin: await User.getBlockedIds(req.user._id) },
+      [field]: req.params.userId,
+      isActive: true,
+    };
+
+    const results = await User.find(applyCursor(query, pagination.cursorFilter))
+      .select("name avatar bio")
+      .sort(pagination.sort)
+      .limit(pagination.limit + 1)
+      .lean();
+
+    const { items: users, nextCursor, hasMore } = buildPage(
+      results,
+      pagination.limit,
+      sortFields
+    );
+
+    res.json({
+      success: true,
+      count: users.length,
+      users,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error(`Error getting ${relation}:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Get a user's followers
+router.get("/:userId/followers", auth, listFollowUsers("followers"));
+
+// Get the users a user is following
+router.get("/:userId/following", auth, listFollowUsers("following"));
+
 // Get user profile by ID
 router.get("/:userId", auth, async (req, res) => {
   try {
@@ -222,8 +534,11 @@ router.get("/:userId", auth, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Get user's groups
-    const groups = await Group.find({ members: req.params.userId })
+    // Get user's groups, private ones only when the viewer is in them too
+    const groups = await Group.find({
+      members: req.params.userId,
+      $or: [{ isPrivate: { $ne: true } }, { members: req.user._id }],
+    })
       .select("name description category memberCount")
       .limit(5);
 
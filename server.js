@@ -5,6 +5,12 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 require("dotenv").config();
+const { createRealtimeAdapter } = require("./services/realtime");
+const registerChatSocket = require("./socket/chatSocket");
+const notifications = require("./services/notifications");
+const createScheduler = require("./services/scheduler");
+const { createReminderJob } = require("./services/reminders");
+const { updateEventStatuses } = require("./services/eventLifecycle");
 
 const app = express();
 const server = http.createServer(app);
@@ -42,12 +48,20 @@ const authRoutes = require("./routes/authRoutes");
 const chatRoutes = require("./routes/chatRoutes");
 const groupRoutes = require("./routes/groupRoutes");
 const userRoutes = require("./routes/userRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 
 app.use("/api/events", eventRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/groups", groupRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -67,122 +81,38 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Socket.io connection handling
-const connectedUsers = new Map(); // userId -> socketId
-
-io.on("connection", (socket) => {
-  console.log("👤 User connected:", socket.id);
-
-  // User authentication and registration
-  socket.on("register", (userId) => {
-    connectedUsers.set(userId, socket.id);
-    console.log(`User ${userId} registered with socket ${socket.id}`);
-  });
-
-  // Send message
-  socket.on("sendMessage", async (data) => {
-    try {
-      console.log("📥 Received message data:", JSON.stringify(data, null, 2));
-
-      const { sender, receiver, message } = data;
-
-      console.log("📤 Extracted fields:", {
-        sender,
-        receiver,
-        message: message ? message.substring(0, 50) : "undefined",
-        hasSender: !!sender,
-        hasReceiver: !!receiver,
-        hasMessage: !!message,
-      });
-
-      // Validate required fields
-      if (!sender || !receiver || !message) {
-        const error = `Missing fields - sender: ${!!sender}, receiver: ${!!receiver}, message: ${!!message}`;
-        console.error("❌ Validation failed:", error);
-        throw new Error("Sender, receiver, and message are required");
-      }
-
-      // Save message to database
-      const Message = require("./models/Message");
-      const newMessage = await Message.create({
-        sender,
-        receiver,
-        message,
-      });
-
-      console.log("✅ Message saved to database:", newMessage._id);
-
-      // Populate sender and receiver info
-      await newMessage.populate("sender", "name avatar");
-      await newMessage.populate("receiver", "name avatar");
-
-      // Send to receiver if online
-      const receiverSocketId = connectedUsers.get(receiver);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("newMessage", newMessage);
-        console.log("📨 Message sent to receiver:", receiver);
-      } else {
-        console.log("⚠️ Receiver not online:", receiver);
-      }
-
-      // Send confirmation to sender
-      socket.emit("messageSent", newMessage);
-      console.log("✅ Message confirmation sent to sender");
-    } catch (error) {
-      console.error("❌ Error sending message:", error.message);
-      socket.emit("messageError", { error: error.message });
-    }
-  });
-
-  // Mark messages as read
-  socket.on("markAsRead", async (data) => {
-    try {
-      const { messageIds, userId } = data;
-      const Message = require("./models/Message");
-
-      await Message.updateMany(
-        { _id: { $in: messageIds }, receiver: userId },
-        { read: true, readAt: new Date() }
-      );
-
-      socket.emit("messagesMarkedRead", { messageIds });
-    } catch (error) {
-      console.error("Error marking messages as read:", error);
-    }
-  });
-
-  // Typing indicator
-  socket.on("typing", (data) => {
-    const { receiver, sender } = data;
-    const receiverSocketId = connectedUsers.get(receiver);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("userTyping", { userId: sender });
-    }
-  });
-
-  socket.on("stopTyping", (data) => {
-    const { receiver, sender } = data;
-    const receiverSocketId = connectedUsers.get(receiver);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("userStoppedTyping", { userId: sender });
-    }
-  });
-
-  // Disconnection
-  socket.on("disconnect", () => {
-    // Remove user from connected users
-    for (const [userId, socketId] of connectedUsers.entries()) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(userId);
-        console.log(`User ${userId} disconnected`);
-        break;
-      }
-    }
-    console.log("👋 User disconnected:", socket.id);
-  });
-});
+// Realtime adapter for presence and message fan-out across server instances
+const realtime = createRealtimeAdapter();
+realtime
+  .attach(io)
+  .then(() => console.log(`📡 Realtime adapter: ${realtime.name}`))
+  .catch((err) => console.error("❌ Realtime adapter error:", err));
+app.set("realtime", realtime);
+notifications.setRealtime(realtime);
+
+// Socket.io chat handlers
+registerChatSocket(io, realtime);
+
+// Background jobs
+const REMINDER_CHECK_INTERVAL_SECONDS =
+  Number(process.env.REMINDER_CHECK_INTERVAL_SECONDS) || 60;
+const LIFECYCLE_CHECK_INTERVAL_SECONDS =
+  Number(process.env.LIFECYCLE_CHECK_INTERVAL_SECONDS) || 60;
+
+const scheduler = createScheduler();
+scheduler.every(
+  "event-reminders",
+  REMINDER_CHECK_INTERVAL_SECONDS * 1000,
+  createReminderJob()
+);
+scheduler.every(
+  "event-lifecycle",
+  LIFECYCLE_CHECK_INTERVAL_SECONDS * 1000,
+  updateEventStatuses
+);
 
 server.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`💬 Socket.io is ready for real-time chat`);
+  scheduler.start();
 });
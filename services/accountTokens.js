@@ -0,0 +1,94 @@
+// Signed, expiring tokens for the links in account emails: confirming an
+// email address and resetting a password. They are JWTs with a purpose and
+// no session, so they never work as access tokens.
+//
+// A verification token names the address it confirms, so it stops working
+// if the address changes. A reset token is signed with a key that includes
+// the current password hash, so it works once: the new password
+// invalidates it.
+
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { JWT_SECRET } = require("../middleware/auth");
+
+const EMAIL_VERIFICATION_EXPIRE_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+const PASSWORD_RESET_EXPIRE_MINUTES =
+  Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+// How long the links stay valid, for the emails
+const EMAIL_VERIFICATION_EXPIRES_IN = plural(
+  EMAIL_VERIFICATION_EXPIRE_HOURS,
+  "hour"
+);
+const PASSWORD_RESET_EXPIRES_IN = plural(
+  PASSWORD_RESET_EXPIRE_MINUTES,
+  "minute"
+);
+
+const resetKey = (user) => `${JWT_SECRET}:reset:${user.password || ""}`;
+
+const createEmailVerificationToken = (user) =>
+  jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify_email" },
+    JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 }
+  );
+
+// Find the user a verification token is for, or null if the token is
+// invalid, expired or for an address the user no longer has
+const findUserByEmailVerificationToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== "verify_email") return null;
+
+  return User.findOne({ _id: decoded.id, email: decoded.email });
+};
+
+// user must include its password hash (select("+password"))
+const createPasswordResetToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "reset_password" }, resetKey(user), {
+    expiresIn: PASSWORD_RESET_EXPIRE_MINUTES * 60,
+  });
+
+// Find the active user a reset token is for (with the password hash), or
+// null if the token is invalid, expired or already used
+const findUserByPasswordResetToken = async (token) => {
+  const unverified = typeof token === "string" ? jwt.decode(token) : null;
+  if (
+    !unverified ||
+    unverified.purpose !== "reset_password" ||
+    !mongoose.Types.ObjectId.isValid(unverified.id)
+  ) {
+    return null;
+  }
+
+  const user = await User.findOne({
+    _id: unverified.id,
+    isActive: true,
+  }).select("+password");
+  if (!user) return null;
+
+  try {
+    jwt.verify(token, resetKey(user));
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  PASSWORD_RESET_EXPIRES_IN,
+  createEmailVerificationToken,
+  findUserByEmailVerificationToken,
+  createPasswordResetToken,
+  findUserByPasswordResetToken,
+};
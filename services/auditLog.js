@@ -0,0 +1,16 @@
+// Audit trail of moderation and management actions.
+
+const AuditLog = require("../models/AuditLog");
+
+// Record an action. Failures are logged rather than thrown, so they don't
+// undo an action that already happened.
+// entry: { actor, action, group?, targetType?, target?, details? }
+const recordAudit = async (entry) => {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error("Error recording audit log entry:", error);
+  }
+};
+
+module.exports = { recordAudit };
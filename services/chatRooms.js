@@ -0,0 +1,116 @@
+// Chat rooms tied to Groups and Events.
+// Group rooms are open to group members, event rooms to the event's
+// creator, co-hosts and attendees. Access is checked against the database
+// on every join and send so it follows membership changes.
+
+const mongoose = require("mongoose");
+const Group = require("../models/Group");
+const Event = require("../models/Event");
+
+const ROOM_TYPES = ["group", "event"];
+
+// Socket.io room name for a chat room
+const getRoomName = (roomType, roomId) => `room:${roomType}:${roomId}`;
+
+// Check the room type and ID, returns an error message or null
+const validateRoom = (roomType, roomId) => {
+  if (!ROOM_TYPES.includes(roomType)) {
+    return `Room type must be one of: ${ROOM_TYPES.join(", ")}`;
+  }
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    return "Invalid room ID";
+  }
+  return null;
+};
+
+// Check whether a user may read and write in a room
+const canAccessRoom = async (userId, roomType, roomId) => {
+  if (validateRoom(roomType, roomId)) {
+    return false;
+  }
+
+  if (roomType === "group") {
+    return !!(await Group.exists({ _id: roomId, members: userId }));
+  }
+
+  return !!(await Event.exists({
+    _id: roomId,
+    $or: [
+      { creator: userId },
+      { "coHosts.user": userId },
+      { attendeesList: userId },
+    ],
+  }));
+};
+
+// List the rooms a user can access
+const getRoomsForUser = async (userId) => {
+  const [groups, events] = await Promise.all([
+    Group.find({ members: userId }).select("name avatar").lean(),
+    Event.find({
+      status: { $ne: "cancelled" },
+      $or: [
+        { creator: userId },
+        { "coHosts.user": userId },
+        { attendeesList: userId },
+      ],
+    })
+      .select("title image imageUrl dateTime")
+      .sort({ dateTime: -1 })
+      .lean(),
+  ]);
+
+  return [
+    ...groups.map((group) => ({
+      roomType: "group",
+      roomId: group._id,
+      name: group.name,
+      avatar: group.avatar,
+    })),
+    ...events.map((event) => ({
+      roomType: "event",
+      roomId: event._id,
+      name: event.title,
+      avatar: event.imageUrl || event.image,
+      dateTime: event.dateTime,
+    })),
+  ];
+};
+
+// Remove a user's sockets (on every server instance) from a room after
+// they lose access
+const removeUserFromRoom = async (realtime, userId, roomType, roomId) => {
+  if (!realtime) return;
+  const roomName = getRoomName(roomType, roomId);
+  try {
+    await realtime.leave(`user:${userId}`, roomName);
+    await realtime.emit(`user:${userId}`, "roomAccessRevoked", {
+      roomType,
+      roomId,
+    });
+  } catch (error) {
+    console.error("Error removing user from room:", error);
+  }
+};
+
+// Remove everyone from a room, e.g. when its group or event is deleted
+const closeRoom = async (realtime, roomType, roomId) => {
+  if (!realtime) return;
+  const roomName = getRoomName(roomType, roomId);
+  try {
+    await realtime.emit(roomName, "roomAccessRevoked", { roomType, roomId });
+    await realtime.leave(roomName, roomName);
+  } catch (error) {
+    console.error("Error closing room:", error);
+  }
+};
+
+module.exports = {
+  ROOM_TYPES,
+  getRoomName,
+  validateRoom,
+  canAccessRoom,
+  getRoomsForUser,
+  removeUserFromRoom,
+  closeRoom,
+};
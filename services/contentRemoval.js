@@ -0,0 +1,90 @@
+// Deleting content along with what depends on it. Used by the owners'
+// delete routes, by moderators acting on reports and by platform admins.
+
+const Event = require("../models/Event");
+const Group = require("../models/Group");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Message = require("../models/Message");
+const Ticket = require("../models/Ticket");
+const User = require("../models/User");
+const { closeRoom } = require("./chatRooms");
+const { releaseGroupEvents } = require("./groupEvents");
+
+// Delete a group post with its comments
+const deletePost = async (post) => {
+  await Comment.deleteMany({ post: post._id });
+  await Post.deleteOne({ _id: post._id });
+
+  // Update group post count
+  await Group.updateOne(
+    { _id: post.group, postCount: { $gt: 0 } },
+    { $inc: { postCount: -1 } }
+  );
+};
+
+const deleteComment = async (comment) => {
+  await Comment.deleteOne({ _id: comment._id });
+
+  // Update post comment count
+  await Post.updateOne(
+    { _id: comment.post, commentCount: { $gt: 0 } },
+    { $inc: { commentCount: -1 } }
+  );
+};
+
+const deleteMessage = (message) => Message.deleteOne({ _id: message._id });
+
+// Delete an event, its chat room, tickets and every user's references to it
+const deleteEvent = async (event, realtime) => {
+  await Event.findByIdAndDelete(event._id);
+
+  // Close the event chat room and delete its history
+  closeRoom(realtime, "event", event._id);
+  await Message.deleteMany({ roomType: "event", roomId: event._id });
+  await Ticket.deleteMany({ event: event._id });
+
+  // Remove event from the owner's createdEvents
+  if (event.creator) {
+    await User.findByIdAndUpdate(event.creator, {
+      $pull: { eventsCreated: event._id },
+    });
+  }
+
+  // Remove event from all users' attending and saved lists
+  await User.updateMany(
+    {},
+    {
+      $pull: {
+        eventsAttending: event._id,
+        savedEvents: event._id,
+      },
+    }
+  );
+};
+
+// Delete a group with its posts, comments and chat. Upcoming group events
+// are cancelled, past ones are kept without a group. Returns the number of
+// events cancelled.
+const deleteGroup = async (group, realtime, actor) => {
+  const postIds = await Post.find({ group: group._id }).distinct("_id");
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await Post.deleteMany({ group: group._id });
+
+  // Close the group chat room and delete its history
+  closeRoom(realtime, "group", group._id);
+  await Message.deleteMany({ roomType: "group", roomId: group._id });
+
+  const cancelledEvents = await releaseGroupEvents(group, actor);
+
+  await Group.deleteOne({ _id: group._id });
+  return cancelledEvents;
+};
+
+module.exports = {
+  deletePost,
+  deleteComment,
+  deleteMessage,
+  deleteEvent,
+  deleteGroup,
+};
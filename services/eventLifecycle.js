@@ -0,0 +1,78 @@
+// Event lifecycle, run by the job scheduler.
+// Published events become ongoing once they start and completed once they
+// end. An event ends at endDateTime, or dateTime plus duration minutes, or
+// DEFAULT_EVENT_DURATION_MINUTES after it starts when neither is set.
+// Events moved back into the future are published again.
+
+const Event = require("../models/Event");
+const { DEFAULT_EVENT_DURATION_MINUTES } = require("../utils/time");
+
+// Aggregation expression for an event's end time
+const END_TIME_EXPRESSION = {
+  $ifNull: [
+    "$endDateTime",
+    {
+      $add: [
+        "$dateTime",
+        {
+          $multiply: [
+            { $ifNull: ["$duration", DEFAULT_EVENT_DURATION_MINUTES] },
+            60 * 1000,
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+// Query conditions for events that have or haven't ended at `now`
+const endedFilter = (now) => ({
+  dateTime: { $lte: now },
+  $expr: { $lte: [END_TIME_EXPRESSION, now] },
+});
+
+const notEndedFilter = (now) => ({
+  $expr: { $gt: [END_TIME_EXPRESSION, now] },
+});
+
+// Bring event statuses in line with the time. Returns the number of events
+// moved to each status.
+const updateEventStatuses = async (now) => {
+  const completed = await Event.updateMany(
+    { status: { $in: ["published", "ongoing"] }, ...endedFilter(now) },
+    { status: "completed" }
+  );
+
+  const ongoing = await Event.updateMany(
+    {
+      status: { $in: ["published", "completed"] },
+      dateTime: { $lte: now },
+      ...notEndedFilter(now),
+    },
+    { status: "ongoing" }
+  );
+
+  const published = await Event.updateMany(
+    { status: { $in: ["ongoing", "completed"] }, dateTime: { $gt: now } },
+    { status: "published" }
+  );
+
+  const counts = {
+    completed: completed.modifiedCount,
+    ongoing: ongoing.modifiedCount,
+    published: published.modifiedCount,
+  };
+
+  if (counts.completed + counts.ongoing + counts.published > 0) {
+    console.log("🗓️ Event statuses updated:", counts);
+  }
+
+  return counts;
+};
+
+module.exports = {
+  END_TIME_EXPRESSION,
+  endedFilter,
+  notEndedFilter,
+  updateEventStatuses,
+};
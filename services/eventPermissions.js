@@ -0,0 +1,125 @@
+// Event authorization. Every permission check on an event goes through here.
+//
+// The owner (Event.creator) can do everything, including deleting the
+// event, managing co-hosts and transferring ownership ("owner"). Co-hosts
+// get a subset of:
+//   edit              edit the event details
+//   manage_attendees  view attendance and remove attendees
+//   check_in          scan tickets at the door and view attendance
+//   cancel            change the event's status, including cancelling it
+// Events from before creators were recorded can be managed by anyone, as
+// they always could.
+
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+
+const { EVENT_PERMISSIONS } = Event;
+
+// What each permission allows, for error messages
+const PERMISSION_ACTIONS = {
+  owner: "manage this event's hosts",
+  edit: "edit this event",
+  manage_attendees: "manage this event's attendees",
+  check_in: "check in attendees",
+  cancel: "change this event's status",
+};
+
+// ID of a possibly populated reference
+const toId = (value) =>
+  (value && value._id ? value._id : value || "").toString();
+
+const isEventOwner = (event, userId) =>
+  !!event.creator && toId(event.creator) === toId(userId);
+
+const getCoHost = (event, userId) =>
+  (event.coHosts || []).find((coHost) => toId(coHost.user) === toId(userId));
+
+// Check whether a user has a permission ("owner" or one of
+// EVENT_PERMISSIONS) on an event
+const hasEventPermission = (event, userId, permission) => {
+  if (!userId) return false;
+  if (!event.creator || isEventOwner(event, userId)) return true;
+  if (permission === "owner") return false;
+
+  const coHost = getCoHost(event, userId);
+  return !!coHost && coHost.permissions.includes(permission);
+};
+
+// Query filter for the events a user has a permission on, e.g. to limit a
+// series edit to the occurrences the user may change
+const eventPermissionFilter = (userId, permission) => ({
+  $or: [
+    { creator: userId },
+    { creator: null },
+    ...(permission === "owner"
+      ? []
+      : [
+          {
+            coHosts: { $elemMatch: { user: userId, permissions: permission } },
+          },
+        ]),
+  ],
+});
+
+// IDs of the owner and the co-hosts with a permission
+const getUsersWithPermission = (event, permission) =>
+  [
+    event.creator,
+    ...(event.coHosts || [])
+      .filter((coHost) => coHost.permissions.includes(permission))
+      .map((coHost) => coHost.user),
+  ]
+    .filter(Boolean)
+    .map(toId);
+
+// Middleware: load the event in req.params.id into req.event, replying 404
+// or 403 unless the current user has one of the permissions. Use after
+// protect.
+const authorizeEvent =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const event = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Event.findById(req.params.id)
+        : null;
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: "Event not found",
+        });
+      }
+
+      const allowed = permissions.some((permission) =>
+        hasEventPermission(event, req.user._id, permission)
+      );
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: `You don't have permission to ${
+            PERMISSION_ACTIONS[permissions[0]]
+          }`,
+        });
+      }
+
+      req.event = event;
+      next();
+    } catch (error) {
+      console.error("Error authorizing event access:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to load event",
+        message: error.message,
+      });
+    }
+  };
+
+module.exports = {
+  EVENT_PERMISSIONS,
+  isEventOwner,
+  getCoHost,
+  hasEventPermission,
+  eventPermissionFilter,
+  getUsersWithPermission,
+  authorizeEvent,
+};
@@ -0,0 +1,88 @@
+// Who can do what in a group.
+// Public groups are open to everyone. In private groups only members see
+// posts, comments and the member list; others see the group's profile and
+// can ask to join, or join through an invitation.
+//
+// Roles, from lowest to highest: member, moderator, admin, owner (the
+// creator). Moderators and up remove posts and comments and can remove or
+// ban anyone ranked below them. Admins also manage roles, join requests and
+// invitations. Only the owner can demote, remove or ban admins, and nobody
+// can remove the owner.
+
+const GROUP_ROLES = ["member", "moderator", "admin", "owner"];
+
+const toId = (value) =>
+  (value && value._id ? value._id : value || "").toString();
+
+const includesUser = (list, userId) =>
+  !!userId && (list || []).some((id) => toId(id) === toId(userId));
+
+const isGroupMember = (group, userId) => includesUser(group.members, userId);
+
+const isGroupAdmin = (group, userId) => includesUser(group.admins, userId);
+
+// A user's role in a group, or null if they aren't a member
+const getGroupRole = (group, userId) => {
+  if (!isGroupMember(group, userId)) return null;
+  if (toId(group.creator) === toId(userId)) return "owner";
+  if (isGroupAdmin(group, userId)) return "admin";
+  if (includesUser(group.moderators, userId)) return "moderator";
+  return "member";
+};
+
+// Check whether a user's role is at least the given one
+const hasGroupRole = (group, userId, role) =>
+  GROUP_ROLES.indexOf(getGroupRole(group, userId)) >=
+  GROUP_ROLES.indexOf(role);
+
+// Moderators and up can remove content from the group
+const canModerateGroup = (group, userId) =>
+  hasGroupRole(group, userId, "moderator");
+
+// Check whether a user can remove or ban another. Users who already left
+// can be banned by any moderator.
+const canRemoveMember = (group, actorId, targetId) => {
+  if (!canModerateGroup(group, actorId)) return false;
+  const targetRole = getGroupRole(group, targetId);
+  return (
+    targetRole !== "owner" &&
+    GROUP_ROLES.indexOf(getGroupRole(group, actorId)) >
+      GROUP_ROLES.indexOf(targetRole)
+  );
+};
+
+// Check whether a user (or a visitor, without userId) can see a group's
+// posts, comments and members
+const canViewGroupContent = (group, userId) =>
+  !group.isPrivate || isGroupMember(group, userId);
+
+// The creator and admins, who handle join requests and invitations
+const getGroupManagers = (group) => [group.creator, ...group.admins];
+
+// Public profile of a group for users who can't see its content
+const toPublicGroup = (group) => {
+  const {
+    members,
+    admins,
+    moderators,
+    joinRequests,
+    invites,
+    bans,
+    inviteLinks,
+    ...profile
+  } = group.toObject ? group.toObject() : group;
+  return profile;
+};
+
+module.exports = {
+  GROUP_ROLES,
+  isGroupMember,
+  isGroupAdmin,
+  getGroupRole,
+  hasGroupRole,
+  canModerateGroup,
+  canRemoveMember,
+  canViewGroupContent,
+  getGroupManagers,
+  toPublicGroup,
+};
@@ -0,0 +1,105 @@
+// Events hosted by a group.
+// Group admins create events on behalf of their group, and members are
+// notified. In private groups an event can be members-only: it is hidden
+// from everyone except group members, its hosts and its attendees.
+// Deleting a group cancels its upcoming events and detaches the rest.
+
+const Event = require("../models/Event");
+const Group = require("../models/Group");
+const { notify } = require("./notifications");
+const { isEventOwner, getCoHost } = require("./eventPermissions");
+const { notEndedFilter } = require("./eventLifecycle");
+
+// Query filter for the events a user (or a visitor, without userId) can see.
+// Events hidden by a moderator are only shown to their hosts.
+const visibleEventsFilter = async (userId) => {
+  if (!userId) {
+    return { membersOnly: { $ne: true }, isHidden: { $ne: true } };
+  }
+
+  const groupIds = await Group.find({ members: userId }).distinct("_id");
+  const isHost = [{ creator: userId }, { "coHosts.user": userId }];
+  return {
+    $and: [
+      { $or: [{ isHidden: { $ne: true } }, ...isHost] },
+      {
+        $or: [
+          { membersOnly: { $ne: true } },
+          { group: { $in: groupIds } },
+          ...isHost,
+          { attendeesList: userId },
+        ],
+      },
+    ],
+  };
+};
+
+// Check whether a user (or a visitor, without userId) can see an event
+const canViewEvent = async (event, userId) => {
+  const isHost =
+    !!userId && (isEventOwner(event, userId) || !!getCoHost(event, userId));
+  if (event.isHidden) return isHost;
+  if (!event.membersOnly) return true;
+  if (!userId) return false;
+
+  const isAttending = (event.attendeesList || []).some(
+    (id) => (id._id || id).toString() === userId.toString()
+  );
+  if (isAttending || isHost) {
+    return true;
+  }
+
+  return (
+    !!event.group &&
+    !!(await Group.exists({ _id: event.group, members: userId }))
+  );
+};
+
+// Tell a group's members about a new event
+const notifyGroupEvent = (group, event, actor) =>
+  notify({
+    type: "group_event",
+    recipients: group.members,
+    actor,
+    text: `${group.name} is hosting ${event.title} on ${event.date}`,
+    event: event._id,
+    group: group._id,
+  });
+
+// Handle a group's events when the group is deleted: upcoming ones are
+// cancelled (attendees are told), and every event loses its group. Returns
+// the number of events cancelled.
+const releaseGroupEvents = async (group, actor) => {
+  const cancelling = await Event.find({
+    group: group._id,
+    status: { $nin: ["cancelled", "completed"] },
+    ...notEndedFilter(new Date()),
+  }).select("title date attendeesList");
+
+  await Event.updateMany(
+    { _id: { $in: cancelling.map((event) => event._id) } },
+    { status: "cancelled", updatedAt: Date.now() }
+  );
+  await Event.updateMany({ group: group._id }, { group: null });
+
+  await Promise.all(
+    cancelling.map((event) =>
+      notify({
+        type: "event_cancelled",
+        recipients: event.attendeesList,
+        actor,
+        text: `${event.title} on ${event.date} has been cancelled because ${group.name} was deleted`,
+        event: event._id,
+      })
+    )
+  );
+
+  return cancelling.length;
+};
+
+module.exports = {
+  visibleEventsFilter,
+  canViewEvent,
+  notifyGroupEvent,
+  releaseGroupEvents,
+};
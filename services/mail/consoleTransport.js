@@ -0,0 +1,11 @@
+// Mail transport for local development: messages are printed to the log.
+
+const createConsoleTransport = ({ log = console.log } = {}) => ({
+  name: "console",
+  send: async ({ from, to, subject, text }) => {
+    log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
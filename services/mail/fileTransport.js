@@ -0,0 +1,29 @@
+// Mail transport for local testing: each message is written to a JSON file
+// instead of being sent, so tests and developers can pick up the links in
+// it.
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const createFileTransport = ({
+  directory = process.env.MAIL_DIR || path.join(process.cwd(), "mail"),
+} = {}) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const sentAt = new Date();
+    const file = path.join(
+      directory,
+      `${sentAt.getTime()}-${crypto.randomBytes(4).toString("hex")}.json`
+    );
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: sentAt.toISOString() }, null, 2)
+    );
+    return { file };
+  },
+});
+
+module.exports = createFileTransport;
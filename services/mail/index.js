@@ -0,0 +1,66 @@
+// Outgoing email.
+//
+// Every transport exposes send({ from, to, subject, text, html }).
+// MAIL_TRANSPORT picks the implementation:
+//   console (default)  print messages to the log
+//   file               write each message to a JSON file in MAIL_DIR
+//   smtp               deliver through the SMTP server at SMTP_HOST
+// Messages are built from the templates in templates.js and sent from
+// MAIL_FROM.
+
+const createSmtpTransport = require("./smtpTransport");
+const createFileTransport = require("./fileTransport");
+const createConsoleTransport = require("./consoleTransport");
+const { renderTemplate } = require("./templates");
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Community Events <no-reply@communityevents.app>";
+
+const createMailTransport = (type = process.env.MAIL_TRANSPORT) => {
+  if (type === "smtp") return createSmtpTransport();
+  if (type === "file") return createFileTransport();
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+// Replace the transport, e.g. with a stand-in
+const setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+// Send a templated email. Errors are logged and reported as false rather
+// than thrown, so a mail problem can't fail the request that sent it.
+const sendMail = async (to, templateName, data) => {
+  try {
+    if (!transport) {
+      transport = createMailTransport();
+    }
+
+    const { subject, text, html } = renderTemplate(templateName, data);
+    await transport.send({ from: MAIL_FROM, to, subject, text, html });
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${templateName} email:`, error);
+    return false;
+  }
+};
+
+// Send a templated email without waiting for the mail server. Replies
+// that say the same thing whether or not an address has an account would
+// otherwise give it away by how long they take.
+const sendMailInBackground = (to, templateName, data) => {
+  sendMail(to, templateName, data).catch((error) =>
+    console.error(`Error sending ${templateName} email:`, error)
+  );
+};
+
+module.exports = {
+  createMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  setMailTransport,
+  sendMail,
+  sendMailInBackground,
+};
@@ -0,0 +1,24 @@
+// Mail transport that delivers through an SMTP server.
+
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST || "localhost",
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure, // true for port 465, otherwise STARTTLS is used when offered
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,106 @@
+// Email templates. Each one takes the data for a message and returns its
+// subject, a plain text body and an HTML body.
+
+const APP_NAME = process.env.APP_NAME || "Community Events";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap paragraphs (already escaped) in the shared HTML layout
+const layout = (title, paragraphs) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body style="font-family: sans-serif; color: #222; max-width: 560px">
+    <h2>${escapeHtml(APP_NAME)}</h2>
+    ${paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join("\n    ")}
+  </body>
+</html>`;
+
+const link = (url, label) =>
+  `<a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 16px; background: #4f46e5; color: #fff; text-decoration: none; border-radius: 6px">${escapeHtml(
+    label
+  )}</a>`;
+
+const templates = {
+  // data: { name, url, expiresIn }
+  verifyEmail: ({ name, url, expiresIn }) => ({
+    subject: `Confirm your email for ${APP_NAME}`,
+    text: [
+      `Hi ${name},`,
+      `Confirm your email address by opening this link:\n${url}`,
+      `The link expires in ${expiresIn}. If you didn't create an account, you can ignore this email.`,
+    ].join("\n\n"),
+    html: layout("Confirm your email", [
+      `Hi ${escapeHtml(name)},`,
+      "Confirm your email address to finish setting up your account.",
+      link(url, "Confirm email"),
+      `The link expires in ${escapeHtml(
+        expiresIn
+      )}. If you didn't create an account, you can ignore this email.`,
+    ]),
+  }),
+
+  // data: { name, url, expiresIn }
+  resetPassword: ({ name, url, expiresIn }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${name},`,
+      `Someone asked to reset your password. Choose a new one here:\n${url}`,
+      `The link expires in ${expiresIn} and works once. If it wasn't you, you can ignore this email, your password won't change.`,
+    ].join("\n\n"),
+    html: layout("Reset your password", [
+      `Hi ${escapeHtml(name)},`,
+      "Someone asked to reset your password. Choose a new one here:",
+      link(url, "Reset password"),
+      `The link expires in ${escapeHtml(
+        expiresIn
+      )} and works once. If it wasn't you, you can ignore this email, your password won't change.`,
+    ]),
+  }),
+
+  // data: { name }
+  passwordChanged: ({ name }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    text: [
+      `Hi ${name},`,
+      "Your password was just changed and you were logged out on every device.",
+      "If you didn't do this, reset your password right away.",
+    ].join("\n\n"),
+    html: layout("Your password was changed", [
+      `Hi ${escapeHtml(name)},`,
+      "Your password was just changed and you were logged out on every device.",
+      "If you didn't do this, reset your password right away.",
+    ]),
+  }),
+
+  // data: { name }
+  accountExists: ({ name }) => ({
+    subject: `You already have a ${APP_NAME} account`,
+    text: [
+      `Hi ${name},`,
+      "Someone tried to register with this email address, but it already has an account.",
+      "If it was you, log in instead, or reset your password if you forgot it. If it wasn't you, you can ignore this email.",
+    ].join("\n\n"),
+    html: layout("You already have an account", [
+      `Hi ${escapeHtml(name)},`,
+      "Someone tried to register with this email address, but it already has an account.",
+      "If it was you, log in instead, or reset your password if you forgot it. If it wasn't you, you can ignore this email.",
+    ]),
+  }),
+};
+
+// Build a message from a template, returns { subject, text, html }
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = { renderTemplate };
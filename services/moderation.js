@@ -0,0 +1,370 @@
+// Reports and the actions moderators take on them.
+//
+// Anyone can report a post, comment, chat message, event or user they can
+// see. Reports about content in a group (posts, their comments and group
+// chat messages) are reviewed by that group's moderators; platform
+// moderators and admins (User.role) review every report. Resolving a report
+// applies one action to its target and closes the other open reports on it:
+//   hide     hide the content, its author still sees it
+//   delete   delete the content
+//   warn     notify the author or reported user
+//   suspend  deactivate the user's account and end their sessions (admins)
+// The user a report is about can appeal a hide, warn or suspend once. The
+// other reports closed by the same action point to the one it was taken on
+// (primaryReport), and that's where it's appealed. An accepted appeal
+// unhides the content or reactivates the account.
+
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Message = require("../models/Message");
+const Event = require("../models/Event");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { hasPlatformRole } = require("../middleware/auth");
+const { notify } = require("./notifications");
+const { recordAudit } = require("./auditLog");
+const { canModerateGroup, canViewGroupContent } = require("./groupAccess");
+const { canAccessRoom } = require("./chatRooms");
+const { canViewEvent } = require("./groupEvents");
+const {
+  deletePost,
+  deleteComment,
+  deleteMessage,
+  deleteEvent,
+} = require("./contentRemoval");
+
+const TARGET_MODELS = { Post, Comment, Message, Event, User };
+
+// Actions that only apply to content, and those that can be appealed
+const CONTENT_ACTIONS = ["hide", "delete"];
+const APPEALABLE_ACTIONS = ["hide", "warn", "suspend"];
+
+// How targets are named in notifications
+const TARGET_LABELS = {
+  Post: "post",
+  Comment: "comment",
+  Message: "message",
+  Event: "event",
+  User: "account",
+};
+
+const isPlatformAdmin = (user) => hasPlatformRole(user, "admin");
+
+// Load a report's target, or null if it doesn't exist (anymore)
+const loadReportTarget = async (targetType, targetId) => {
+  const Model = TARGET_MODELS[targetType];
+  if (!Model || !mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+  return targetType === "User"
+    ? Model.findById(targetId).select("name avatar role isActive")
+    : Model.findById(targetId);
+};
+
+// The user a target is about and the group whose moderators review it
+const describeTarget = async (targetType, target) => {
+  switch (targetType) {
+    case "Post":
+      return { targetUser: target.author, group: target.group };
+    case "Comment": {
+      const post = await Post.findById(target.post).select("group");
+      return { targetUser: target.author, group: post ? post.group : null };
+    }
+    case "Message":
+      return {
+        targetUser: target.sender,
+        group: target.roomType === "group" ? target.roomId : null,
+      };
+    case "Event":
+      return { targetUser: target.creator || null, group: null };
+    default:
+      return { targetUser: target._id, group: null };
+  }
+};
+
+// Check whether a user can see what they're reporting
+const canSeeReportTarget = async (targetType, target, userId) => {
+  switch (targetType) {
+    case "Post":
+    case "Comment": {
+      const post =
+        targetType === "Post"
+          ? target
+          : await Post.findById(target.post).select("group");
+      if (!post) return false;
+      const group = await Group.findById(post.group).select(
+        "isPrivate members"
+      );
+      return !!group && canViewGroupContent(group, userId);
+    }
+    case "Message":
+      if (target.roomId) {
+        return canAccessRoom(userId, target.roomType, target.roomId);
+      }
+      return [target.sender, target.receiver].some(
+        (id) => id && id.toString() === userId.toString()
+      );
+    case "Event":
+      return canViewEvent(target, userId);
+    default:
+      return target.isActive;
+  }
+};
+
+// Check whether a user can review (resolve, decide appeals on) a report
+const canReviewReport = async (report, user) => {
+  if (hasPlatformRole(user, "moderator")) return true;
+  if (!report.group) return false;
+
+  const group = await Group.findById(report.group).select(
+    "creator members admins moderators"
+  );
+  return !!group && canModerateGroup(group, user._id);
+};
+
+// Query filter for the reports a user can review
+const reviewableReportsFilter = async (user) => {
+  if (hasPlatformRole(user, "moderator")) return {};
+
+  const groupIds = await Group.find({
+    $or: [
+      { creator: user._id },
+      { admins: user._id },
+      { moderators: user._id },
+    ],
+  }).distinct("_id");
+  return { group: { $in: groupIds } };
+};
+
+// Reference fields for a notification about a target
+const notificationRefs = (report) => {
+  const field = report.targetType.toLowerCase();
+  return report.targetType === "User" || report.action === "delete"
+    ? {}
+    : { [field]: report.target };
+};
+
+// Deactivate a user's account and disconnect them everywhere. report is
+// null when an admin suspends an account directly.
+const suspendUser = async (
+  userId,
+  { reason, report = null, moderator },
+  realtime
+) => {
+  await User.findByIdAndUpdate(userId, {
+    isActive: false,
+    suspension: {
+      reason,
+      report,
+      suspendedAt: new Date(),
+      suspendedBy: moderator._id,
+    },
+  });
+  await Session.revokeAll(userId);
+
+  if (realtime) {
+    realtime
+      .disconnect(`user:${userId}`)
+      .catch((error) => console.error("Error disconnecting sockets:", error));
+  }
+};
+
+// Check an action against a report, returns an error message or null
+const validateModerationAction = (report, action, moderator) => {
+  if (report.status !== "open") {
+    return "Report has already been handled";
+  }
+  if (report.targetType === "User" && CONTENT_ACTIONS.includes(action)) {
+    return "Users can only be warned or suspended";
+  }
+  if (action === "suspend") {
+    if (!isPlatformAdmin(moderator)) {
+      return "Only platform admins can suspend accounts";
+    }
+    if (!report.targetUser) {
+      return "This report isn't about a user who can be suspended";
+    }
+  }
+  return null;
+};
+
+// Resolve a report with an action ("dismiss" closes it without one). Other
+// open reports on the same target are resolved with it, since the action
+// answers them too. Returns the updated report.
+const resolveReport = async (
+  report,
+  { action, note, moderator },
+  realtime
+) => {
+  const now = new Date();
+
+  if (action === "dismiss") {
+    report.status = "dismissed";
+    report.note = note;
+    report.resolvedBy = moderator._id;
+    report.resolvedAt = now;
+    await report.save();
+  } else {
+    const target = await loadReportTarget(report.targetType, report.target);
+
+    if (action === "hide" && target) {
+      await TARGET_MODELS[report.targetType].updateOne(
+        { _id: target._id },
+        { isHidden: true }
+      );
+    } else if (action === "delete" && target) {
+      switch (report.targetType) {
+        case "Post":
+          await deletePost(target);
+          break;
+        case "Comment":
+          await deleteComment(target);
+          break;
+        case "Message":
+          await deleteMessage(target);
+          break;
+        default:
+          await deleteEvent(target, realtime);
+      }
+    } else if (action === "suspend") {
+      await suspendUser(
+        report.targetUser,
+        { reason: note || report.reason, report: report._id, moderator },
+        realtime
+      );
+    }
+
+    const resolution = {
+      status: "resolved",
+      action,
+      note,
+      resolvedBy: moderator._id,
+      resolvedAt: now,
+    };
+    await Report.updateOne({ _id: report._id }, resolution);
+    await Report.updateMany(
+      { target: report.target, status: "open", _id: { $ne: report._id } },
+      { ...resolution, primaryReport: report._id }
+    );
+    Object.assign(report, resolution);
+
+    const label = TARGET_LABELS[report.targetType];
+    const outcome = {
+      hide: `Your ${label} was hidden`,
+      delete: `Your ${label} was removed`,
+      warn: `You received a warning about your ${label}`,
+      suspend: "Your account was suspended",
+    }[action];
+    // Sent without an actor so it arrives even if the user blocked the
+    // moderator
+    await notify({
+      type: "moderation_action",
+      recipients: report.targetUser,
+      text: `${outcome} for ${report.reason}${note ? `: ${note}` : ""}`,
+      group: report.group,
+      ...notificationRefs(report),
+    });
+  }
+
+  await recordAudit({
+    actor: moderator._id,
+    action: "report_resolved",
+    group: report.group,
+    targetType: report.targetType,
+    target: report.target,
+    details: { report: report._id, action, reason: report.reason },
+  });
+
+  return report;
+};
+
+// Undo an action after its appeal is accepted
+const reverseModerationAction = async (report) => {
+  if (report.action === "hide") {
+    await TARGET_MODELS[report.targetType].updateOne(
+      { _id: report.target },
+      { isHidden: false }
+    );
+  } else if (report.action === "suspend") {
+    await User.updateOne(
+      { _id: report.targetUser, "suspension.report": report._id },
+      { isActive: true, $unset: { suspension: 1 } }
+    );
+  }
+};
+
+// Find the report an action was taken on: the report itself, or the one it
+// was resolved along with
+const findPrimaryReport = async (report) =>
+  (report.primaryReport && (await Report.findById(report.primaryReport))) ||
+  report;
+
+// Check whether a user can appeal a report, returns an error message or null
+const validateAppeal = (report, userId) => {
+  if (
+    !report.targetUser ||
+    report.targetUser.toString() !== userId.toString()
+  ) {
+    return "Only the user a report is about can appeal it";
+  }
+  if (report.status !== "resolved") {
+    return "Only reports that led to an action can be appealed";
+  }
+  if (!APPEALABLE_ACTIONS.includes(report.action)) {
+    return "Deleted content can't be appealed";
+  }
+  if (report.appeal.status !== "none") {
+    return "This report has already been appealed";
+  }
+  return null;
+};
+
+// Decide a pending appeal ("accepted" or "rejected") and tell the user
+const resolveAppeal = async (report, { decision, note, moderator }) => {
+  report.appeal.status = decision;
+  report.appeal.note = note;
+  report.appeal.resolvedBy = moderator._id;
+  report.appeal.resolvedAt = new Date();
+  await report.save();
+
+  if (decision === "accepted") {
+    await reverseModerationAction(report);
+  }
+
+  await recordAudit({
+    actor: moderator._id,
+    action: "appeal_resolved",
+    group: report.group,
+    targetType: report.targetType,
+    target: report.target,
+    details: { report: report._id, action: report.action, decision },
+  });
+
+  // Suspended users can't receive notifications until they're reactivated
+  await notify({
+    type: "moderation_action",
+    recipients: report.targetUser,
+    text: `Your appeal was ${decision}${note ? `: ${note}` : ""}`,
+    group: report.group,
+    ...notificationRefs(report),
+  });
+
+  return report;
+};
+
+module.exports = {
+  isPlatformAdmin,
+  findPrimaryReport,
+  loadReportTarget,
+  describeTarget,
+  canSeeReportTarget,
+  canReviewReport,
+  reviewableReportsFilter,
+  suspendUser,
+  validateModerationAction,
+  resolveReport,
+  validateAppeal,
+  resolveAppeal,
+};
@@ -0,0 +1,89 @@
+// Notification service used by the routes (and background jobs) to create
+// in-app notifications and push them to connected clients in real time.
+
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+// Notification.text limit
+const MAX_TEXT_LENGTH = 300;
+
+let realtime = null;
+
+// Set the realtime adapter used to push notifications over Socket.io
+const setRealtime = (adapter) => {
+  realtime = adapter;
+};
+
+// Create a notification for each recipient and push it in real time.
+// The actor never notifies themselves, and recipients who muted the type
+// or are blocked either way are skipped. Errors are logged, never thrown,
+// so a failed notification can't fail the request that triggered it.
+//
+// notify({ type, recipients, actor, text, event, group, post, comment, message })
+const notify = async ({ type, recipients, actor = null, text, ...refs }) => {
+  try {
+    const actorId = actor ? actor.toString() : null;
+    const ids = [
+      ...new Set(
+        (Array.isArray(recipients) ? recipients : [recipients])
+          .filter(Boolean)
+          .map((id) => id.toString())
+      ),
+    ].filter((id) => id !== actorId);
+
+    if (ids.length === 0) return [];
+
+    // Skip inactive users, users who muted this type and users blocked
+    // either way by the actor
+    const blockedIds = actor ? await User.getBlockedIds(actor) : [];
+    const users = await User.find({
+      _id: { $in: ids, $nin: blockedIds },
+      isActive: true,
+      "notificationPreferences.muted": { $ne: type },
+    }).select("_id");
+
+    if (users.length === 0) return [];
+
+    // Texts quoting user input (e.g. a moderator's note) can run long
+    const shortText =
+      text.length > MAX_TEXT_LENGTH
+        ? `${text.slice(0, MAX_TEXT_LENGTH - 3)}...`
+        : text;
+
+    const notifications = await Notification.insertMany(
+      users.map((user) => ({
+        recipient: user._id,
+        actor,
+        type,
+        text: shortText,
+        ...refs,
+      }))
+    );
+
+    if (realtime) {
+      const populated = await Notification.populate(notifications, {
+        path: "actor",
+        select: "name avatar",
+      });
+      await Promise.all(
+        populated.map((notification) =>
+          realtime.emit(
+            `user:${notification.recipient}`,
+            "notification",
+            notification.toObject()
+          )
+        )
+      );
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Error sending ${type} notification:`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  setRealtime,
+  notify,
+};
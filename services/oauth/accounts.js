@@ -0,0 +1,137 @@
+// Turning a verified provider profile into a User. A provider account
+// (provider + subject) belongs to one user. Signing in with one that isn't
+// linked yet links it to the account with the same email address when both
+// the provider and our account have confirmed that address, otherwise it
+// creates a new account without a password.
+
+const User = require("../../models/User");
+const { getProviderConfigs } = require("./providers");
+
+const providerName = (provider) => getProviderConfigs()[provider].name;
+
+const identityFilter = (provider, subject) => ({
+  identities: { $elemMatch: { provider, subject } },
+});
+
+// Pick a valid display name for a new account
+const displayName = (profile, fallbackName) => {
+  const candidates = [profile.name, fallbackName, profile.email.split("@")[0]];
+  const name = candidates
+    .map((value) => (typeof value === "string" ? value.trim() : ""))
+    .find((value) => value.length >= 2);
+  return name ? name.slice(0, 50) : "New user";
+};
+
+const findUserByIdentity = (provider, subject) =>
+  User.findOne(identityFilter(provider, subject));
+
+// Link a provider account to a user. Returns false if the user already has
+// an account at that provider. A provider-confirmed email matching the
+// user's confirms it here too.
+const linkIdentity = async (user, provider, profile) => {
+  const update = {
+    $push: {
+      identities: {
+        provider,
+        subject: profile.subject,
+        email: profile.email,
+        linkedAt: new Date(),
+      },
+    },
+  };
+  if (
+    profile.emailVerified &&
+    !user.emailVerified &&
+    profile.email.toLowerCase() === user.email
+  ) {
+    update.emailVerified = true;
+    update.emailVerifiedAt = new Date();
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, "identities.provider": { $ne: provider } },
+    update
+  );
+  return result.modifiedCount > 0;
+};
+
+// Find the user a provider account signs in as, linking or creating one if
+// needed. Returns { user, isNewUser } or { error, status }.
+// fallbackName is used for new accounts when the provider has no name
+// (Apple only shares it with the app, on the first sign-in).
+const findOrCreateOAuthUser = async (provider, profile, fallbackName) => {
+  const linked = await findUserByIdentity(provider, profile.subject);
+  if (linked) return { user: linked, isNewUser: false };
+
+  const name = providerName(provider);
+  if (!profile.email) {
+    return {
+      error: `Your ${name} account didn't share an email address`,
+      status: 400,
+    };
+  }
+
+  const email = profile.email.toLowerCase();
+  const existing = await User.findOne({ email });
+  if (existing) {
+    // Otherwise someone could register an address they don't own and
+    // take over the account its owner later signs in to
+    if (!profile.emailVerified || !existing.emailVerified) {
+      return {
+        error:
+          "An account with this email already exists. " +
+          `Log in and link ${name} from your profile.`,
+        status: 409,
+      };
+    }
+
+    if (!(await linkIdentity(existing, provider, profile))) {
+      return {
+        error: `This account is linked to another ${name} account`,
+        status: 409,
+      };
+    }
+    return { user: await User.findById(existing._id), isNewUser: false };
+  }
+
+  const user = await User.create({
+    name: displayName(profile, fallbackName),
+    email,
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : null,
+    ...(profile.avatar && { avatar: profile.avatar }),
+    identities: [{ provider, subject: profile.subject, email: profile.email }],
+  });
+  return { user, isNewUser: true };
+};
+
+// Unlink a user's account at a provider. Returns an error message or null.
+// The last way to sign in can't be removed.
+const unlinkIdentity = async (userId, provider) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user.identities.some((identity) => identity.provider === provider)) {
+    return `Your account isn't linked to ${providerName(provider)}`;
+  }
+
+  const filter = { _id: userId, "identities.provider": provider };
+  // Checked in the update too, in case two providers are unlinked at once
+  if (!user.password) filter["identities.1"] = { $exists: true };
+
+  const result = await User.updateOne(filter, {
+    $pull: { identities: { provider } },
+  });
+  if (result.modifiedCount === 0) {
+    return (
+      "Set a password or link another provider before unlinking your " +
+      "only way to log in"
+    );
+  }
+  return null;
+};
+
+module.exports = {
+  findUserByIdentity,
+  findOrCreateOAuthUser,
+  linkIdentity,
+  unlinkIdentity,
+};
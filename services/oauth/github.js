@@ -0,0 +1,80 @@
+// Verifying GitHub sign-ins. GitHub doesn't issue ID tokens, so the app
+// sends the authorization code from GitHub's OAuth flow and we exchange it
+// (with the client secret, which never leaves the server) for an access
+// token, then read the user and their verified email from the API.
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+const request = (url, options = {}) =>
+  fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+// Exchange an authorization code for an access token, returns
+// { accessToken } or { error }
+const exchangeCode = async (config, code, redirectUri) => {
+  const response = await request(config.tokenUrl, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code,
+      redirect_uri: redirectUri,
+    }),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.access_token) {
+    return {
+      error: data.error_description || "GitHub didn't accept the code",
+    };
+  }
+  return { accessToken: data.access_token };
+};
+
+// Returns { profile } or { error }
+const verifyGitHubCode = async (config, { code, redirectUri }) => {
+  if (!code || typeof code !== "string") {
+    return { error: "Please provide an authorization code", status: 400 };
+  }
+
+  const { accessToken, error } = await exchangeCode(config, code, redirectUri);
+  if (error) return { error };
+
+  const api = (path) =>
+    request(`${config.apiUrl.replace(/\/$/, "")}${path}`, {
+      headers: {
+        Accept: "application/vnd.github+json",
+        Authorization: `Bearer ${accessToken}`,
+        "User-Agent": "CommunityEventApp",
+      },
+    });
+
+  const userResponse = await api("/user");
+  if (!userResponse.ok) {
+    return { error: "GitHub didn't accept the access token" };
+  }
+  const account = await userResponse.json();
+
+  // The profile email is optional and may be unverified, the emails list
+  // says which addresses GitHub has confirmed
+  const emailsResponse = await api("/user/emails");
+  const emails = emailsResponse.ok ? await emailsResponse.json() : [];
+  const verified =
+    emails.find((entry) => entry.primary && entry.verified) ||
+    emails.find((entry) => entry.verified);
+
+  return {
+    profile: {
+      subject: String(account.id),
+      email: verified ? verified.email : account.email || null,
+      emailVerified: !!verified,
+      name: account.name || account.login || null,
+      avatar: account.avatar_url || null,
+    },
+  };
+};
+
+module.exports = { verifyGitHubCode };
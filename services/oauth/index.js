@@ -0,0 +1,64 @@
+// Signing in with Google, Apple or GitHub. The app completes the provider's
+// sign-in and sends us proof of it: an ID token for Google and Apple, an
+// authorization code for GitHub. verifyOAuthCredential checks it with the
+// provider and returns the provider's profile of the user, the functions in
+// ./accounts turn that profile into a User.
+//
+// Endpoints come from ./providers, so a local mock identity provider can
+// stand in for the real ones.
+
+const { getProviderConfigs, isProviderEnabled } = require("./providers");
+const { verifyIdToken } = require("./oidc");
+const { verifyGitHubCode } = require("./github");
+const {
+  findOrCreateOAuthUser,
+  findUserByIdentity,
+  linkIdentity,
+  unlinkIdentity,
+} = require("./accounts");
+
+// Get the enabled provider called name, or null
+const getProvider = (name) => {
+  const configs = getProviderConfigs();
+  if (!Object.prototype.hasOwnProperty.call(configs, name)) return null;
+  const config = configs[name];
+  return isProviderEnabled(config) ? config : null;
+};
+
+// Names of the providers users can sign in with
+const getEnabledProviders = () =>
+  Object.entries(getProviderConfigs())
+    .filter(([, config]) => isProviderEnabled(config))
+    .map(([name, config]) => ({ provider: name, name: config.name }));
+
+// Verify a sign-in credential from the request body: { idToken, nonce } for
+// OIDC providers, { code, redirectUri } for GitHub. Returns { profile } or
+// { error, status }.
+const verifyOAuthCredential = async (provider, credential) => {
+  const config = getProvider(provider);
+  if (!config) {
+    return { error: `Sign-in with ${provider} isn't available`, status: 404 };
+  }
+
+  try {
+    const result =
+      config.type === "github"
+        ? await verifyGitHubCode(config, credential)
+        : await verifyIdToken(config, credential);
+    return result.error ? { status: 401, ...result } : result;
+  } catch (error) {
+    // The provider couldn't be reached or sent something unexpected
+    console.error(`Error verifying ${config.name} sign-in:`, error);
+    return { error: `Couldn't verify the ${config.name} sign-in`, status: 502 };
+  }
+};
+
+module.exports = {
+  getProvider,
+  getEnabledProviders,
+  verifyOAuthCredential,
+  findOrCreateOAuthUser,
+  findUserByIdentity,
+  linkIdentity,
+  unlinkIdentity,
+};
@@ -0,0 +1,53 @@
+// Provider signing keys (JSON Web Key Sets), fetched and cached per URL.
+// Keys are refetched every hour, or sooner when a token names a key we
+// don't have yet (providers rotate keys), at most once a minute.
+
+const crypto = require("crypto");
+
+const CACHE_MS = 60 * 60 * 1000;
+const MIN_REFETCH_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// jwksUri -> { keys: Map(kid -> KeyObject), fetchedAt }
+const cache = new Map();
+
+const fetchKeys = async (jwksUri) => {
+  const response = await fetch(jwksUri, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Key set request failed with status ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const keysById = new Map();
+  keys.forEach((jwk) => {
+    try {
+      keysById.set(
+        jwk.kid,
+        crypto.createPublicKey({ key: jwk, format: "jwk" })
+      );
+    } catch (error) {
+      // Skip key types Node can't use
+    }
+  });
+  return keysById;
+};
+
+// Get the public key with an ID from a key set, or null if there is none
+const getSigningKey = async (jwksUri, kid) => {
+  const now = Date.now();
+  let entry = cache.get(jwksUri);
+
+  const isStale = !entry || now - entry.fetchedAt > CACHE_MS;
+  const isMissing =
+    !!entry && !entry.keys.has(kid) && now - entry.fetchedAt > MIN_REFETCH_MS;
+  if (isStale || isMissing) {
+    entry = { keys: await fetchKeys(jwksUri), fetchedAt: now };
+    cache.set(jwksUri, entry);
+  }
+
+  return entry.keys.get(kid) || null;
+};
+
+module.exports = { getSigningKey };
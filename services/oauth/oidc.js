@@ -0,0 +1,66 @@
+// Verifying OpenID Connect ID tokens (Google, Apple). The app signs the user
+// in with the provider's SDK and sends us the ID token it got back. We check
+// its signature against the provider's published keys, that it was issued
+// by the provider for one of our client IDs and that it hasn't expired.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getSigningKey } = require("./jwks");
+
+const ALGORITHMS = ["RS256", "ES256"];
+
+// Apple sends email_verified as a string
+const isTrue = (value) => value === true || value === "true";
+
+// Returns { profile } or { error }
+const verifyIdToken = async (config, { idToken, nonce }) => {
+  if (!idToken || typeof idToken !== "string") {
+    return { error: "Please provide an ID token", status: 400 };
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return { error: "Invalid ID token" };
+  }
+
+  const key = await getSigningKey(config.jwksUri, decoded.header.kid);
+  if (!key) {
+    return { error: "ID token is signed with an unknown key" };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ALGORITHMS,
+      audience: config.clientIds,
+      issuer: config.issuers,
+    });
+  } catch (error) {
+    return { error: `Invalid ID token: ${error.message}` };
+  }
+
+  // Apps that sent a nonce to the provider pass it on so a token can't be
+  // replayed. Apple's SDK expects the SHA-256 of it in the request.
+  if (nonce) {
+    const hashed = crypto.createHash("sha256").update(nonce).digest("hex");
+    if (claims.nonce !== nonce && claims.nonce !== hashed) {
+      return { error: "ID token nonce doesn't match" };
+    }
+  }
+
+  if (!claims.sub) {
+    return { error: "ID token has no subject" };
+  }
+
+  return {
+    profile: {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      emailVerified: !!claims.email && isTrue(claims.email_verified),
+      name: claims.name || null,
+      avatar: claims.picture || null,
+    },
+  };
+};
+
+module.exports = { verifyIdToken };
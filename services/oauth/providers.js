@@ -0,0 +1,54 @@
+// Sign-in provider settings. Endpoints default to the real providers and
+// can be pointed at a local mock identity provider for testing. A provider
+// is enabled once its client ID (and for GitHub, secret) is set.
+
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Read at call time so the settings follow the environment
+const getProviderConfigs = (env = process.env) => ({
+  google: {
+    type: "oidc",
+    name: "Google",
+    // Client IDs of the web, iOS and Android apps, any of which may be the
+    // ID token's audience
+    clientIds: list(env.OAUTH_GOOGLE_CLIENT_IDS),
+    issuers: list(
+      env.OAUTH_GOOGLE_ISSUERS ||
+        "https://accounts.google.com,accounts.google.com"
+    ),
+    jwksUri:
+      env.OAUTH_GOOGLE_JWKS_URI || "https://www.googleapis.com/oauth2/v3/certs",
+  },
+  apple: {
+    type: "oidc",
+    name: "Apple",
+    // Bundle ID of the iOS app and Services ID of the web app
+    clientIds: list(env.OAUTH_APPLE_CLIENT_IDS),
+    issuers: list(env.OAUTH_APPLE_ISSUERS || "https://appleid.apple.com"),
+    jwksUri: env.OAUTH_APPLE_JWKS_URI || "https://appleid.apple.com/auth/keys",
+  },
+  github: {
+    type: "github",
+    name: "GitHub",
+    clientId: env.OAUTH_GITHUB_CLIENT_ID,
+    clientSecret: env.OAUTH_GITHUB_CLIENT_SECRET,
+    tokenUrl:
+      env.OAUTH_GITHUB_TOKEN_URL ||
+      "https://github.com/login/oauth/access_token",
+    apiUrl: env.OAUTH_GITHUB_API_URL || "https://api.github.com",
+  },
+});
+
+const isProviderEnabled = (config) =>
+  config.type === "github"
+    ? !!(config.clientId && config.clientSecret)
+    : config.clientIds.length > 0;
+
+module.exports = {
+  getProviderConfigs,
+  isProviderEnabled,
+};
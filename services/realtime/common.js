@@ -0,0 +1,45 @@
+// Shared pieces of the realtime adapters
+
+// Statuses a single socket can report
+const STATUSES = ["online", "away"];
+
+// Combine a user's socket statuses into one presence status
+const combineStatuses = (statuses) => {
+  if (statuses.length === 0) return "offline";
+  return statuses.includes("online") ? "online" : "away";
+};
+
+// Apply a fan-out operation to the sockets connected to this process.
+// Operations are plain objects so they can be sent between processes:
+//   { type: "emit", room, event, payload, except }  except is a room or a
+//     list of rooms (a socket ID is a room of its own)
+//   { type: "leave", room, target }   sockets in room leave target room
+//   { type: "disconnect", room }
+const applyOperation = (io, operation) => {
+  if (!io || !operation) return;
+
+  switch (operation.type) {
+    case "emit": {
+      let target = io.to(operation.room);
+      if (operation.except) {
+        target = target.except(operation.except);
+      }
+      target.emit(operation.event, operation.payload);
+      break;
+    }
+    case "leave":
+      io.in(operation.room).socketsLeave(operation.target);
+      break;
+    case "disconnect":
+      io.in(operation.room).disconnectSockets(true);
+      break;
+    default:
+      console.warn("⚠️ Unknown realtime operation:", operation.type);
+  }
+};
+
+module.exports = {
+  STATUSES,
+  combineStatuses,
+  applyOperation,
+};
@@ -0,0 +1,46 @@
+// Realtime adapter selection.
+//
+// Every adapter exposes the same interface used by the socket handlers and
+// routes:
+//   attach(io)                              bind to the local Socket.io server
+//   addSocket(userId, socketId)             -> presence change or null
+//   removeSocket(userId, socketId)          -> presence change or null
+//   setSocketStatus(userId, socketId, status) -> presence change or null
+//   getPresence(userId)                     -> { userId, status, lastSeen }
+//   isOnline(userId)                        -> boolean
+//   emit(room, event, payload, except?)     emit to a room on every node,
+//                                           skipping the except room(s)
+//   leave(room, target)                     sockets in room leave target
+//   disconnect(room)                        disconnect sockets in room
+//   close()
+//
+// REALTIME_ADAPTER picks the implementation:
+//   memory (default)  single server instance
+//   redis             several instances sharing the Redis server at REDIS_URL
+//   local-redis       the Redis adapter on an in-process Redis stand-in
+
+const createMemoryAdapter = require("./memoryAdapter");
+const createRedisAdapter = require("./redisAdapter");
+const createLocalRedisStore = require("./localRedis");
+
+const createRealtimeAdapter = (type = process.env.REALTIME_ADAPTER) => {
+  if (type === "redis") {
+    const Redis = require("ioredis");
+    const client = new Redis(process.env.REDIS_URL || "redis://localhost:6379");
+    return createRedisAdapter({ client, subscriber: client.duplicate() });
+  }
+
+  if (type === "local-redis") {
+    const client = createLocalRedisStore().createClient();
+    return createRedisAdapter({ client, subscriber: client.duplicate() });
+  }
+
+  return createMemoryAdapter();
+};
+
+module.exports = {
+  createRealtimeAdapter,
+  createMemoryAdapter,
+  createRedisAdapter,
+  createLocalRedisStore,
+};
@@ -0,0 +1,125 @@
+// In-process stand-in for Redis, implementing the commands the Redis
+// adapter uses. Clients created from the same store share data and pub/sub
+// channels, so several Socket.io servers in one process (or a test) behave
+// like separate nodes talking through one Redis server.
+
+const { EventEmitter } = require("events");
+
+const createLocalRedisStore = () => {
+  const strings = new Map(); // key -> { value, expiresAt }
+  const hashes = new Map(); // key -> Map(field -> value)
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  const getString = (key) => {
+    const entry = strings.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  // Create a client connected to this store
+  const createClient = () => {
+    const client = new EventEmitter();
+    const subscriptions = new Map(); // channel -> listener
+
+    Object.assign(client, {
+      async publish(channel, message) {
+        const receivers = channels.listenerCount(channel);
+        // Deliver asynchronously, like a network round trip
+        setImmediate(() => channels.emit(channel, message));
+        return receivers;
+      },
+
+      async subscribe(channel) {
+        if (!subscriptions.has(channel)) {
+          const listener = (message) =>
+            client.emit("message", channel, message);
+          subscriptions.set(channel, listener);
+          channels.on(channel, listener);
+        }
+        return subscriptions.size;
+      },
+
+      async unsubscribe(channel) {
+        const listener = subscriptions.get(channel);
+        if (listener) {
+          channels.removeListener(channel, listener);
+          subscriptions.delete(channel);
+        }
+        return subscriptions.size;
+      },
+
+      async set(key, value, mode, ttl) {
+        const expiresAt = mode === "PX" ? Date.now() + Number(ttl) : null;
+        strings.set(key, { value: String(value), expiresAt });
+        return "OK";
+      },
+
+      async get(key) {
+        return getString(key);
+      },
+
+      async mget(...keys) {
+        return keys.map(getString);
+      },
+
+      async del(...keys) {
+        let removed = 0;
+        keys.forEach((key) => {
+          if (strings.delete(key)) removed++;
+          if (hashes.delete(key)) removed++;
+        });
+        return removed;
+      },
+
+      async hset(key, field, value) {
+        if (!hashes.has(key)) {
+          hashes.set(key, new Map());
+        }
+        const added = hashes.get(key).has(field) ? 0 : 1;
+        hashes.get(key).set(field, String(value));
+        return added;
+      },
+
+      async hget(key, field) {
+        const hash = hashes.get(key);
+        return hash && hash.has(field) ? hash.get(field) : null;
+      },
+
+      async hdel(key, ...fields) {
+        const hash = hashes.get(key);
+        if (!hash) return 0;
+        const removed = fields.filter((field) => hash.delete(field)).length;
+        if (hash.size === 0) {
+          hashes.delete(key);
+        }
+        return removed;
+      },
+
+      async hgetall(key) {
+        return Object.fromEntries(hashes.get(key) || new Map());
+      },
+
+      duplicate() {
+        return createClient();
+      },
+
+      async quit() {
+        for (const channel of [...subscriptions.keys()]) {
+          await client.unsubscribe(channel);
+        }
+        return "OK";
+      },
+    });
+
+    return client;
+  };
+
+  return { createClient };
+};
+
+module.exports = createLocalRedisStore;
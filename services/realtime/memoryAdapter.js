@@ -0,0 +1,102 @@
+// Single-process realtime adapter (the default).
+// Presence lives in memory and fan-out goes straight to the local Socket.io
+// server, so it only works when running one server instance.
+
+const { STATUSES, combineStatuses, applyOperation } = require("./common");
+
+const createMemoryAdapter = () => {
+  let io = null;
+  // userId -> Map(socketId -> "online" | "away")
+  const sockets = new Map();
+  // userId -> Date the last socket disconnected
+  const lastSeen = new Map();
+
+  const getStatus = (userId) =>
+    combineStatuses([...(sockets.get(userId) || new Map()).values()]);
+
+  const getPresence = async (userId) => {
+    const id = userId.toString();
+    const status = getStatus(id);
+    return {
+      userId: id,
+      status,
+      lastSeen: status === "offline" ? lastSeen.get(id) || null : null,
+    };
+  };
+
+  // Run a change and return the new presence if the status changed
+  const trackChange = async (userId, change) => {
+    const before = getStatus(userId);
+    change();
+    return before !== getStatus(userId) ? getPresence(userId) : null;
+  };
+
+  return {
+    name: "memory",
+
+    async attach(server) {
+      io = server;
+    },
+
+    addSocket(userId, socketId) {
+      const id = userId.toString();
+      return trackChange(id, () => {
+        if (!sockets.has(id)) {
+          sockets.set(id, new Map());
+        }
+        sockets.get(id).set(socketId, "online");
+      });
+    },
+
+    removeSocket(userId, socketId) {
+      const id = userId.toString();
+      return trackChange(id, () => {
+        const userSockets = sockets.get(id);
+        if (!userSockets) return;
+
+        userSockets.delete(socketId);
+        if (userSockets.size === 0) {
+          sockets.delete(id);
+          lastSeen.set(id, new Date());
+        }
+      });
+    },
+
+    async setSocketStatus(userId, socketId, status) {
+      const id = userId.toString();
+      const userSockets = sockets.get(id);
+      if (
+        !STATUSES.includes(status) ||
+        !userSockets ||
+        !userSockets.has(socketId)
+      ) {
+        return null;
+      }
+      return trackChange(id, () => userSockets.set(socketId, status));
+    },
+
+    getPresence,
+
+    async isOnline(userId) {
+      return getStatus(userId.toString()) !== "offline";
+    },
+
+    async emit(room, event, payload, except) {
+      applyOperation(io, { type: "emit", room, event, payload, except });
+    },
+
+    async leave(room, target) {
+      applyOperation(io, { type: "leave", room, target });
+    },
+
+    async disconnect(room) {
+      applyOperation(io, { type: "disconnect", room });
+    },
+
+    async close() {
+      sockets.clear();
+    },
+  };
+};
+
+module.exports = createMemoryAdapter;
@@ -0,0 +1,176 @@
+// Multi-process realtime adapter using Redis pub/sub.
+//
+// Presence is kept in Redis hashes shared by every server instance, and each
+// fan-out operation is published on one channel. Every instance (including
+// the sender) subscribes and applies the operation to its own sockets, so a
+// message sent on one node reaches a receiver connected to another.
+//
+// Takes two ioredis-compatible clients (one is put in subscriber mode):
+//   client: publish, hset, hget, hdel, hgetall, set, mget, del
+//   subscriber: subscribe, unsubscribe, on("message")
+
+const crypto = require("crypto");
+const { STATUSES, combineStatuses, applyOperation } = require("./common");
+
+const CHANNEL = "realtime:operations";
+const LAST_SEEN_KEY = "presence:lastSeen";
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+const nodeKey = (nodeId) => `realtime:node:${nodeId}`;
+
+const createRedisAdapter = ({
+  client,
+  subscriber,
+  nodeId = crypto.randomBytes(8).toString("hex"),
+  heartbeatMs = 10000,
+}) => {
+  let io = null;
+  let heartbeat = null;
+  // Sockets on this node, so they can be cleaned up on close
+  const localSockets = new Map(); // socketId -> userId
+
+  // Each node refreshes a key with an expiry. Sockets of a node whose key
+  // expired (e.g. it crashed) are ignored and cleaned up lazily.
+  const beat = () =>
+    client
+      .set(nodeKey(nodeId), "1", "PX", heartbeatMs * 3)
+      .catch((error) => console.error("Realtime heartbeat error:", error));
+
+  const getStatus = async (userId) => {
+    const entries = await client.hgetall(socketsKey(userId));
+    const fields = Object.keys(entries || {});
+    if (fields.length === 0) return "offline";
+
+    // Fields are "<nodeId>|<socketId>"
+    const nodeIds = [...new Set(fields.map((field) => field.split("|")[0]))];
+    const alive = await client.mget(...nodeIds.map(nodeKey));
+    const aliveNodes = new Set(nodeIds.filter((id, index) => alive[index]));
+
+    const stale = fields.filter(
+      (field) => !aliveNodes.has(field.split("|")[0])
+    );
+    if (stale.length > 0) {
+      await client.hdel(socketsKey(userId), ...stale);
+    }
+
+    return combineStatuses(
+      fields
+        .filter((field) => aliveNodes.has(field.split("|")[0]))
+        .map((field) => entries[field])
+    );
+  };
+
+  const getPresence = async (userId) => {
+    const id = userId.toString();
+    const status = await getStatus(id);
+    let lastSeen = null;
+    if (status === "offline") {
+      const value = await client.hget(LAST_SEEN_KEY, id);
+      lastSeen = value ? new Date(value) : null;
+    }
+    return { userId: id, status, lastSeen };
+  };
+
+  // Run a change and return the new presence if the status changed
+  const trackChange = async (userId, change) => {
+    const before = await getStatus(userId);
+    await change();
+    const after = await getStatus(userId);
+    if (after === "offline" && before !== "offline") {
+      await client.hset(LAST_SEEN_KEY, userId, new Date().toISOString());
+    }
+    return before !== after ? getPresence(userId) : null;
+  };
+
+  const publish = (operation) =>
+    client.publish(CHANNEL, JSON.stringify(operation));
+
+  const onMessage = (channel, message) => {
+    if (channel !== CHANNEL) return;
+    try {
+      applyOperation(io, JSON.parse(message));
+    } catch (error) {
+      console.error("Realtime operation error:", error);
+    }
+  };
+
+  return {
+    name: "redis",
+    nodeId,
+
+    async attach(server) {
+      io = server;
+      subscriber.on("message", onMessage);
+      await subscriber.subscribe(CHANNEL);
+      await beat();
+      heartbeat = setInterval(beat, heartbeatMs);
+      if (heartbeat.unref) heartbeat.unref();
+    },
+
+    addSocket(userId, socketId) {
+      const id = userId.toString();
+      localSockets.set(socketId, id);
+      return trackChange(id, () =>
+        client.hset(socketsKey(id), `${nodeId}|${socketId}`, "online")
+      );
+    },
+
+    removeSocket(userId, socketId) {
+      const id = userId.toString();
+      localSockets.delete(socketId);
+      return trackChange(id, () =>
+        client.hdel(socketsKey(id), `${nodeId}|${socketId}`)
+      );
+    },
+
+    async setSocketStatus(userId, socketId, status) {
+      const id = userId.toString();
+      if (!STATUSES.includes(status) || localSockets.get(socketId) !== id) {
+        return null;
+      }
+      return trackChange(id, () =>
+        client.hset(socketsKey(id), `${nodeId}|${socketId}`, status)
+      );
+    },
+
+    getPresence,
+
+    async isOnline(userId) {
+      return (await getStatus(userId.toString())) !== "offline";
+    },
+
+    emit(room, event, payload, except) {
+      // Serialize now so Mongoose documents become plain JSON
+      return publish({
+        type: "emit",
+        room,
+        event,
+        except,
+        payload:
+          payload === undefined
+            ? undefined
+            : JSON.parse(JSON.stringify(payload)),
+      });
+    },
+
+    leave(room, target) {
+      return publish({ type: "leave", room, target });
+    },
+
+    disconnect(room) {
+      return publish({ type: "disconnect", room });
+    },
+
+    async close() {
+      clearInterval(heartbeat);
+      for (const [socketId, userId] of localSockets) {
+        await client.hdel(socketsKey(userId), `${nodeId}|${socketId}`);
+      }
+      localSockets.clear();
+      await client.del(nodeKey(nodeId));
+      subscriber.removeListener("message", onMessage);
+      await subscriber.unsubscribe(CHANNEL);
+    },
+  };
+};
+
+module.exports = createRedisAdapter;
@@ -0,0 +1,148 @@
+// Event reminders for attendees, run by the job scheduler.
+//
+// Each reminder is claimed with an atomic update on the event before it is
+// sent, and the claim records the dateTime it was sent for. That makes the
+// job safe to restart or run on several instances without duplicates, and
+// moving an event (PUT /api/events/:id) re-arms its reminders for the new
+// time. Reminders missed while the server was down go out on the next run,
+// as long as the event hasn't started; only the nearest one is sent.
+
+const Event = require("../models/Event");
+const { notify } = require("./notifications");
+
+const DURATION_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// Parse offsets like "24h,1h,30m,2d" into minutes, largest first
+const parseOffsets = (value) => {
+  const offsets = String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(\d+)\s*([mhd])$/i.exec(part);
+      if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid reminder offset: ${part}`);
+      }
+      return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    });
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// Describe a number of minutes, e.g. "1 hour" or "2 days"
+const formatMinutes = (minutes) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+  if (minutes >= 24 * 60 && minutes % (24 * 60) === 0) {
+    return plural(minutes / (24 * 60), "day");
+  }
+  if (minutes >= 60) {
+    return plural(Math.round(minutes / 60), "hour");
+  }
+  return plural(Math.max(1, minutes), "minute");
+};
+
+// Offsets (in minutes) due for an event that haven't been sent for its
+// current dateTime
+const getDueOffsets = (event, offsets, now) => {
+  const startsIn = event.dateTime.getTime() - now.getTime();
+  const sent = (event.remindersSent || [])
+    .filter((entry) => entry.dateTime.getTime() === event.dateTime.getTime())
+    .map((entry) => entry.offsetMinutes);
+
+  return offsets.filter(
+    (offset) => startsIn <= offset * 60 * 1000 && !sent.includes(offset)
+  );
+};
+
+// Claim the due offsets of an event. Entries for an old dateTime are
+// dropped in the same update. Returns false if another run got there first
+// or the event moved since it was read.
+const claimReminders = async (event, dueOffsets) => {
+  const result = await Event.updateOne(
+    {
+      _id: event._id,
+      dateTime: event.dateTime,
+      remindersSent: {
+        $not: {
+          $elemMatch: {
+            dateTime: event.dateTime,
+            offsetMinutes: { $in: dueOffsets },
+          },
+        },
+      },
+    },
+    [
+      {
+        $set: {
+          remindersSent: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$remindersSent", []] },
+                  cond: { $eq: ["$$this.dateTime", "$dateTime"] },
+                },
+              },
+              dueOffsets.map((offsetMinutes) => ({
+                offsetMinutes,
+                dateTime: event.dateTime,
+              })),
+            ],
+          },
+        },
+      },
+    ]
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Send the reminders due at `now`. Returns the number of events reminded.
+const sendDueReminders = async (now, offsets) => {
+  if (offsets.length === 0) return 0;
+
+  const events = await Event.find({
+    status: "published",
+    dateTime: { $gt: now, $lte: new Date(now.getTime() + offsets[0] * 60000) },
+    "attendeesList.0": { $exists: true },
+  }).select("title dateTime attendeesList +remindersSent");
+
+  let reminded = 0;
+
+  for (const event of events) {
+    const dueOffsets = getDueOffsets(event, offsets, now);
+    if (dueOffsets.length === 0) continue;
+    if (!(await claimReminders(event, dueOffsets))) continue;
+
+    const minutesLeft = Math.round(
+      (event.dateTime.getTime() - now.getTime()) / 60000
+    );
+    await notify({
+      type: "event_reminder",
+      recipients: event.attendeesList,
+      text: `${event.title} starts in ${formatMinutes(minutesLeft)}`,
+      event: event._id,
+    });
+    reminded += 1;
+  }
+
+  if (reminded > 0) {
+    console.log(`⏰ Sent reminders for ${reminded} event(s)`);
+  }
+
+  return reminded;
+};
+
+// Job for the scheduler, offsets default to EVENT_REMINDER_OFFSETS
+const createReminderJob = (
+  offsets = parseOffsets(process.env.EVENT_REMINDER_OFFSETS || "24h,1h")
+) => {
+  return (now) => sendDueReminders(now, offsets);
+};
+
+module.exports = {
+  parseOffsets,
+  formatMinutes,
+  getDueOffsets,
+  sendDueReminders,
+  createReminderJob,
+};
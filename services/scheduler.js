@@ -0,0 +1,87 @@
+// In-process background job scheduler.
+// Jobs run at a fixed interval, one at a time, on the given clock. Jobs
+// keep their own state in the database so they pick up where they left
+// off after a restart.
+
+const { systemClock } = require("../utils/clock");
+
+const createScheduler = ({ clock = systemClock } = {}) => {
+  const jobs = new Map();
+  let timer = null;
+  let started = false;
+
+  // Run a job, logging errors so one failing job doesn't stop the others
+  const runJob = async (job, now) => {
+    try {
+      await job.run(now);
+    } catch (error) {
+      console.error(`Error running job ${job.name}:`, error);
+    }
+    job.nextRunAt = now.getTime() + job.intervalMs;
+  };
+
+  // Set a timer for the next job that falls due
+  const scheduleNext = () => {
+    if (timer) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+    if (!started || jobs.size === 0) return;
+
+    const nextRunAt = Math.min(
+      ...[...jobs.values()].map((job) => job.nextRunAt)
+    );
+    const delay = Math.max(0, nextRunAt - clock.now().getTime());
+    timer = clock.setTimeout(tick, delay);
+  };
+
+  const tick = async () => {
+    timer = null;
+    const now = clock.now();
+
+    for (const job of jobs.values()) {
+      if (job.nextRunAt <= now.getTime()) {
+        await runJob(job, now);
+      }
+    }
+
+    scheduleNext();
+  };
+
+  return {
+    // Register a job. run(now) is called every intervalMs, first when the
+    // scheduler starts.
+    every(name, intervalMs, run) {
+      jobs.set(name, {
+        name,
+        intervalMs,
+        run,
+        nextRunAt: clock.now().getTime(),
+      });
+      scheduleNext();
+      return this;
+    },
+
+    // Run a job right away, e.g. after data it depends on changed
+    async runNow(name) {
+      const job = jobs.get(name);
+      if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+      }
+      await runJob(job, clock.now());
+      scheduleNext();
+    },
+
+    start() {
+      started = true;
+      scheduleNext();
+    },
+
+    stop() {
+      started = false;
+      scheduleNext();
+    },
+  };
+};
+
+module.exports = createScheduler;
@@ -0,0 +1,155 @@
+// Event tickets and their signed codes.
+//
+// A ticket code is "<payload>.<signature>": the payload is base64url JSON
+// { v, tid, eid, uid, iat } and the signature is an Ed25519 signature of the
+// payload string, base64url encoded. Door devices only need the public key
+// (GET /api/events/tickets/public-key) to check codes while offline; the
+// check-in endpoint also rejects cancelled tickets and duplicate scans.
+//
+// The signing key comes from TICKET_PRIVATE_KEY (PEM). Without it a key is
+// derived from JWT_SECRET so codes stay valid across restarts.
+
+const crypto = require("crypto");
+const Ticket = require("../models/Ticket");
+const { JWT_SECRET } = require("../middleware/auth");
+
+const CODE_VERSION = 1;
+
+// PKCS#8 DER prefix for an Ed25519 private key built from a 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex"
+);
+
+const loadPrivateKey = () => {
+  if (process.env.TICKET_PRIVATE_KEY) {
+    return crypto.createPrivateKey(
+      process.env.TICKET_PRIVATE_KEY.replace(/\\n/g, "\n")
+    );
+  }
+
+  const seed = crypto
+    .createHash("sha256")
+    .update(`tickets:${JWT_SECRET}`)
+    .digest();
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: "der",
+    type: "pkcs8",
+  });
+};
+
+let keys = null;
+
+const getKeys = () => {
+  if (!keys) {
+    const privateKey = loadPrivateKey();
+    keys = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+  return keys;
+};
+
+// Public key door devices use to verify codes, as PEM
+const getPublicKeyPem = () =>
+  getKeys().publicKey.export({ type: "spki", format: "pem" });
+
+// Build the signed code of a ticket
+const signTicket = (ticket) => {
+  const payload = Buffer.from(
+    JSON.stringify({
+      v: CODE_VERSION,
+      tid: ticket._id.toString(),
+      eid: ticket.event.toString(),
+      uid: ticket.user.toString(),
+      iat: Math.floor(new Date(ticket.createdAt).getTime() / 1000),
+    })
+  ).toString("base64url");
+
+  const signature = crypto
+    .sign(null, Buffer.from(payload), getKeys().privateKey)
+    .toString("base64url");
+
+  return `${payload}.${signature}`;
+};
+
+// Check a code's signature, returns its payload or null
+const verifyTicketCode = (code) => {
+  if (typeof code !== "string") return null;
+
+  const [payload, signature, extra] = code.trim().split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(payload),
+      getKeys().publicKey,
+      Buffer.from(signature, "base64url")
+    );
+    if (!valid) return null;
+
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return data.v === CODE_VERSION ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Shape a ticket for API responses
+const formatTicket = (ticket) => ({
+  _id: ticket._id,
+  event: ticket.event,
+  user: ticket.user,
+  status: ticket.status,
+  checkedInAt: ticket.checkedInAt,
+  code: signTicket(ticket), // Encode this in the QR code
+});
+
+// Give users an active ticket for an event. Cancelled tickets are
+// reactivated with their check-in cleared, since it belonged to the earlier
+// RSVP. Active tickets are left as they are.
+const issueTickets = async (eventId, userIds) => {
+  if (userIds.length === 0) return [];
+
+  await Ticket.bulkWrite(
+    userIds.flatMap((userId) => [
+      {
+        updateOne: {
+          filter: { event: eventId, user: userId, status: "cancelled" },
+          update: {
+            $set: { status: "active", checkedInAt: null, checkedInBy: null },
+          },
+        },
+      },
+      {
+        updateOne: {
+          filter: { event: eventId, user: userId },
+          update: { $setOnInsert: { status: "active" } },
+          upsert: true,
+        },
+      },
+    ])
+  );
+
+  return Ticket.find({ event: eventId, user: { $in: userIds } });
+};
+
+const issueTicket = async (eventId, userId) =>
+  (await issueTickets(eventId, [userId]))[0];
+
+// Cancel a user's ticket when they stop attending
+const cancelTicket = (eventId, userId) =>
+  Ticket.updateOne(
+    { event: eventId, user: userId },
+    { $set: { status: "cancelled" } }
+  );
+
+module.exports = {
+  getPublicKeyPem,
+  signTicket,
+  verifyTicketCode,
+  formatTicket,
+  issueTickets,
+  issueTicket,
+  cancelTicket,
+};
@@ -0,0 +1,315 @@
+const User = require("../models/User");
+const Message = require("../models/Message");
+const { authenticateToken } = require("../middleware/auth");
+const { getRoomName, canAccessRoom } = require("../services/chatRooms");
+const { notify } = require("../services/notifications");
+
+// Register Socket.io authentication and chat event handlers.
+// All delivery goes through the realtime adapter so it works across
+// server instances.
+const registerChatSocket = (io, realtime) => {
+  // Socket.io authentication - verify the same JWT that protect verifies
+  io.use(async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+
+    if (
+      !token &&
+      headers.authorization &&
+      headers.authorization.startsWith("Bearer")
+    ) {
+      token = headers.authorization.split(" ")[1];
+    }
+
+    if (!token) {
+      return next(new Error("Not authorized, no token"));
+    }
+
+    try {
+      const { user, session } = await authenticateToken(token);
+
+      if (!user || !user.isActive) {
+        return next(new Error("Not authorized, user not found or inactive"));
+      }
+
+      // Bind the socket to the authenticated user
+      socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
+      next();
+    } catch (error) {
+      console.error("Socket auth error:", error.message);
+      next(new Error("Not authorized, token failed"));
+    }
+  });
+
+  // Publish a presence change to everyone the user has chatted with, except
+  // users blocked either way. Takes the pending result of a presence update.
+  const publishPresence = async (pendingUpdate) => {
+    try {
+      const presenceUpdate = await pendingUpdate;
+      if (!presenceUpdate) return;
+
+      const [partnerIds, blockedIds] = await Promise.all([
+        Message.getConversationPartnerIds(presenceUpdate.userId),
+        User.getBlockedIds(presenceUpdate.userId),
+      ]);
+      const blocked = new Set(blockedIds.map((id) => id.toString()));
+      await Promise.all(
+        partnerIds
+          .filter((partnerId) => !blocked.has(partnerId))
+          .map((partnerId) =>
+            realtime.emit(`user:${partnerId}`, "presenceUpdate", presenceUpdate)
+          )
+      );
+    } catch (error) {
+      console.error("Error publishing presence:", error);
+    }
+  };
+
+  // Socket.io connection handling
+  io.on("connection", (socket) => {
+    console.log("👤 User connected:", socket.id);
+
+    // Register the authenticated user. Every device joins the user's room so
+    // messages reach all of them, and the session room is used to disconnect
+    // sockets when the session is revoked.
+    socket.join(`user:${socket.userId}`);
+    socket.join(`session:${socket.sessionId}`);
+    publishPresence(realtime.addSocket(socket.userId, socket.id));
+    console.log(`User ${socket.userId} registered with socket ${socket.id}`);
+
+    // Mark this device as online or away (e.g. app in background)
+    socket.on("setPresence", (data) => {
+      const { status } = data || {};
+      publishPresence(
+        realtime.setSocketStatus(socket.userId, socket.id, status)
+      );
+    });
+
+    // Kept for older clients, the user now comes from the handshake token
+    socket.on("register", (userId) => {
+      if (userId && userId !== socket.userId) {
+        console.warn(
+          `⚠️ Socket ${socket.id} tried to register as ${userId}, ignoring`
+        );
+      }
+    });
+
+    // Send message
+    socket.on("sendMessage", async (data) => {
+      try {
+        console.log(
+          "📥 Received message data:",
+          JSON.stringify(data, null, 2)
+        );
+
+        // The sender is always the authenticated user
+        const sender = socket.userId;
+        const { receiver, message } = data || {};
+
+        console.log("📤 Extracted fields:", {
+          sender,
+          receiver,
+          message: message ? message.substring(0, 50) : "undefined",
+          hasSender: !!sender,
+          hasReceiver: !!receiver,
+          hasMessage: !!message,
+        });
+
+        // Validate required fields
+        if (!sender || !receiver || !message) {
+          const error = `Missing fields - sender: ${!!sender}, receiver: ${!!receiver}, message: ${!!message}`;
+          console.error("❌ Validation failed:", error);
+          throw new Error("Sender, receiver, and message are required");
+        }
+
+        if (await User.isBlockedBetween(sender, receiver)) {
+          throw new Error("You can't message this user");
+        }
+
+        // Save message to database
+        const newMessage = await Message.create({
+          sender,
+          receiver,
+          message,
+        });
+
+        console.log("✅ Message saved to database:", newMessage._id);
+
+        // Populate sender and receiver info
+        await newMessage.populate("sender", "name avatar");
+        await newMessage.populate("receiver", "name avatar");
+
+        // Send to every device of the receiver if online
+        if (await realtime.isOnline(receiver)) {
+          await realtime.emit(`user:${receiver}`, "newMessage", newMessage);
+          console.log("📨 Message sent to receiver:", receiver);
+        } else {
+          console.log("⚠️ Receiver not online:", receiver);
+          await notify({
+            type: "new_message",
+            recipients: receiver,
+            actor: sender,
+            text: `New message from ${newMessage.sender.name}`,
+            message: newMessage._id,
+          });
+        }
+
+        // Send confirmation to sender, including their other devices
+        await realtime.emit(`user:${sender}`, "messageSent", newMessage);
+        console.log("✅ Message confirmation sent to sender");
+      } catch (error) {
+        console.error("❌ Error sending message:", error.message);
+        socket.emit("messageError", { error: error.message });
+      }
+    });
+
+    // Mark messages as read
+    socket.on("markAsRead", async (data) => {
+      try {
+        const { messageIds } = data || {};
+        const userId = socket.userId;
+
+        await Message.updateMany(
+          { _id: { $in: messageIds }, receiver: userId },
+          { read: true, readAt: new Date() }
+        );
+
+        socket.emit("messagesMarkedRead", { messageIds });
+      } catch (error) {
+        console.error("Error marking messages as read:", error);
+      }
+    });
+
+    // Send a typing event to a direct message partner, unless either of
+    // them blocked the other
+    const emitDirectTyping = async (receiver, event) => {
+      try {
+        if (!(await User.isBlockedBetween(socket.userId, receiver))) {
+          await realtime.emit(`user:${receiver}`, event, {
+            userId: socket.userId,
+          });
+        }
+      } catch (error) {
+        console.error("Error sending typing indicator:", error);
+      }
+    };
+
+    // Send a typing event to a room the socket has joined, skipping the
+    // sending socket and users blocked either way
+    const emitRoomTyping = async (roomType, roomId, event) => {
+      const roomName = getRoomName(roomType, roomId);
+      if (!socket.rooms.has(roomName)) return;
+
+      try {
+        const blockedIds = await User.getBlockedIds(socket.userId);
+        await realtime.emit(
+          roomName,
+          event,
+          { userId: socket.userId, roomType, roomId },
+          [socket.id, ...blockedIds.map((id) => `user:${id}`)]
+        );
+      } catch (error) {
+        console.error("Error sending typing indicator:", error);
+      }
+    };
+
+    // Typing indicator (to a receiver, or to a room the socket has joined)
+    socket.on("typing", (data) => {
+      const { receiver, roomType, roomId } = data || {};
+      if (roomType && roomId) {
+        emitRoomTyping(roomType, roomId, "userTyping");
+      } else if (receiver) {
+        emitDirectTyping(receiver, "userTyping");
+      }
+    });
+
+    socket.on("stopTyping", (data) => {
+      const { receiver, roomType, roomId } = data || {};
+      if (roomType && roomId) {
+        emitRoomTyping(roomType, roomId, "userStoppedTyping");
+      } else if (receiver) {
+        emitDirectTyping(receiver, "userStoppedTyping");
+      }
+    });
+
+    // Join a group or event chat room
+    socket.on("joinRoom", async (data) => {
+      const { roomType, roomId } = data || {};
+      try {
+        if (!(await canAccessRoom(socket.userId, roomType, roomId))) {
+          throw new Error("You must be a member or attendee to join this room");
+        }
+
+        socket.join(getRoomName(roomType, roomId));
+        socket.emit("roomJoined", { roomType, roomId });
+      } catch (error) {
+        console.error("❌ Error joining room:", error.message);
+        socket.emit("roomError", { roomType, roomId, error: error.message });
+      }
+    });
+
+    socket.on("leaveRoom", (data) => {
+      const { roomType, roomId } = data || {};
+      socket.leave(getRoomName(roomType, roomId));
+      socket.emit("roomLeft", { roomType, roomId });
+    });
+
+    // Send a message to a group or event chat room
+    socket.on("sendRoomMessage", async (data) => {
+      const { roomType, roomId, message } = data || {};
+      try {
+        if (!message) {
+          throw new Error("Message is required");
+        }
+
+        // Check access again in case the user left since joining
+        if (!(await canAccessRoom(socket.userId, roomType, roomId))) {
+          socket.leave(getRoomName(roomType, roomId));
+          throw new Error("You must be a member or attendee to use this room");
+        }
+
+        const newMessage = await Message.create({
+          sender: socket.userId,
+          roomType,
+          roomId,
+          message,
+        });
+        await newMessage.populate("sender", "name avatar");
+
+        await realtime.emit(
+          getRoomName(roomType, roomId),
+          "newRoomMessage",
+          newMessage
+        );
+      } catch (error) {
+        console.error("❌ Error sending room message:", error.message);
+        socket.emit("messageError", { roomType, roomId, error: error.message });
+      }
+    });
+
+    // Disconnection
+    socket.on("disconnect", async () => {
+      try {
+        // Remove this device, the user goes offline with the last one
+        const presenceUpdate = await realtime.removeSocket(
+          socket.userId,
+          socket.id
+        );
+        if (presenceUpdate && presenceUpdate.status === "offline") {
+          await User.updateOne(
+            { _id: socket.userId },
+            { lastSeenAt: presenceUpdate.lastSeen || new Date() }
+          );
+          console.log(`User ${socket.userId} disconnected`);
+        }
+        publishPresence(presenceUpdate);
+      } catch (error) {
+        console.error("Error handling disconnect:", error);
+      }
+      console.log("👋 User disconnected:", socket.id);
+    });
+  });
+};
+
+module.exports = registerChatSocket;
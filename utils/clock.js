@@ -0,0 +1,50 @@
+// Clocks used by the job scheduler. The system clock is the real one, the
+// fake clock only moves when advance() is called so jobs can be tested.
+
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+// Create a clock starting at `start`. advance(ms) moves time forward and
+// runs every timer that falls due on the way, in order, waiting for the
+// promise each callback returns.
+const createFakeClock = (start = Date.now()) => {
+  let current = new Date(start).getTime();
+  let timers = [];
+  let nextId = 1;
+
+  return {
+    now: () => new Date(current),
+    setTimeout: (callback, ms) => {
+      const id = nextId++;
+      timers.push({ id, callback, at: current + Math.max(0, ms || 0) });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers = timers.filter((timer) => timer.id !== id);
+    },
+    advance: async (ms) => {
+      const target = current + ms;
+
+      for (;;) {
+        const due = timers
+          .filter((timer) => timer.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+
+        timers = timers.filter((timer) => timer !== due);
+        current = due.at;
+        await due.callback();
+      }
+
+      current = target;
+    },
+  };
+};
+
+module.exports = {
+  systemClock,
+  createFakeClock,
+};
@@ -0,0 +1,84 @@
+// GeoJSON helpers for event locations and distance queries
+
+const isValidLatitude = (lat) =>
+  Number.isFinite(lat) && lat >= -90 && lat <= 90;
+const isValidLongitude = (lng) =>
+  Number.isFinite(lng) && lng >= -180 && lng <= 180;
+
+// Convert legacy { latitude, longitude } coordinates to a GeoJSON point.
+// Returns null when the coordinates are missing or out of range.
+const toGeoPoint = (coordinates) => {
+  if (
+    !coordinates ||
+    coordinates.latitude === null ||
+    coordinates.latitude === undefined ||
+    coordinates.longitude === null ||
+    coordinates.longitude === undefined
+  ) {
+    return null;
+  }
+
+  const latitude = Number(coordinates.latitude);
+  const longitude = Number(coordinates.longitude);
+
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return null;
+  }
+
+  // GeoJSON stores positions as [longitude, latitude]
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Parse a "lat,lng" query string, returns { latitude, longitude } or null
+const parseLatLng = (value) => {
+  if (typeof value !== "string") return null;
+
+  const parts = value.split(",").map((part) => Number(part.trim()));
+  if (parts.length !== 2) return null;
+
+  const [latitude, longitude] = parts;
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+// Parse a "minLat,minLng,maxLat,maxLng" bounding box into a GeoJSON polygon
+const parseBoundingBox = (value) => {
+  if (typeof value !== "string") return null;
+
+  const parts = value.split(",").map((part) => Number(part.trim()));
+  if (parts.length !== 4) return null;
+
+  const [minLat, minLng, maxLat, maxLng] = parts;
+  if (
+    !isValidLatitude(minLat) ||
+    !isValidLatitude(maxLat) ||
+    !isValidLongitude(minLng) ||
+    !isValidLongitude(maxLng) ||
+    minLat >= maxLat ||
+    minLng >= maxLng
+  ) {
+    return null;
+  }
+
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+};
+
+module.exports = {
+  toGeoPoint,
+  parseLatLng,
+  parseBoundingBox,
+};
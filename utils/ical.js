@@ -0,0 +1,128 @@
+// iCalendar (RFC 5545) output for events, used by the .ics download and the
+// calendar feeds. Times are written in UTC, calendar apps show them in the
+// viewer's timezone. Every event keeps the same UID across exports so
+// calendar apps update their copy instead of adding a new one.
+
+const { DEFAULT_EVENT_DURATION_MINUTES } = require("./time");
+
+const PRODUCT_ID = "-//Community Event App//Events//EN";
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || "communityevents.app";
+
+// Escape text values (commas, semicolons, backslashes and newlines)
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fold lines longer than 75 octets onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// Format a date as a UTC date-time, e.g. 20250101T180000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Stable UID for an event
+const getEventUid = (event) => `event-${event._id}@${UID_DOMAIN}`;
+
+const getEndTime = (event) => {
+  if (event.endDateTime) return new Date(event.endDateTime);
+  const minutes = event.duration || DEFAULT_EVENT_DURATION_MINUTES;
+  return new Date(new Date(event.dateTime).getTime() + minutes * 60 * 1000);
+};
+
+const STATUS_MAP = {
+  cancelled: "CANCELLED",
+  draft: "TENTATIVE",
+};
+
+// Build the VEVENT lines of an event
+const buildEventLines = (event) => {
+  const updatedAt = new Date(event.updatedAt || event.createdAt || Date.now());
+  const createdAt = new Date(event.createdAt || updatedAt);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${getEventUid(event)}`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `CREATED:${formatDateTime(createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    // Grows with every update so calendar apps take the newest version
+    `SEQUENCE:${Math.max(0, Math.floor((updatedAt - createdAt) / 1000))}`,
+    `DTSTART:${formatDateTime(event.dateTime)}`,
+    `DTEND:${formatDateTime(getEndTime(event))}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `STATUS:${STATUS_MAP[event.status] || "CONFIRMED"}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (
+    event.coordinates &&
+    Number.isFinite(event.coordinates.latitude) &&
+    Number.isFinite(event.coordinates.longitude)
+  ) {
+    lines.push(
+      `GEO:${event.coordinates.latitude};${event.coordinates.longitude}`
+    );
+  }
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Build a complete calendar, name is shown by apps subscribing to a feed
+const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEventLines(event));
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  getEventUid,
+  buildCalendar,
+};
@@ -0,0 +1,160 @@
+// Cursor-based (keyset) pagination shared by the list endpoints.
+//
+// A cursor encodes the sort values of the last item on a page plus its _id,
+// so the next page starts strictly after that item. Unlike skip/offset this
+// stays stable when new documents are inserted while the user scrolls.
+
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse a sort spec ("-isPinned -createdAt" or { createdAt: -1 }) into a
+// list of { field, direction } with _id appended as a unique tiebreaker
+const parseSort = (sort) => {
+  let fields;
+
+  if (typeof sort === "string") {
+    fields = sort
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((part) =>
+        part.startsWith("-")
+          ? { field: part.slice(1), direction: -1 }
+          : { field: part.replace(/^\+/, ""), direction: 1 }
+      );
+  } else {
+    fields = Object.entries(sort || {}).map(([field, direction]) => ({
+      field,
+      direction: Number(direction) === -1 ? -1 : 1,
+    }));
+  }
+
+  fields = fields.filter(({ field }) => field !== "_id");
+  const last = fields[fields.length - 1];
+  fields.push({ field: "_id", direction: last ? last.direction : 1 });
+
+  return fields;
+};
+
+// Convert parsed sort fields back into a MongoDB sort object
+const toSortObject = (sortFields) =>
+  sortFields.reduce((sort, { field, direction }) => {
+    sort[field] = direction;
+    return sort;
+  }, {});
+
+// Describe a sort so cursors can't be reused with a different ordering
+const sortSignature = (sortFields) =>
+  sortFields.map(({ field, direction }) => `${field}:${direction}`).join(",");
+
+// Tag dates and ObjectIds so they survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  if (value === undefined) return null;
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (value.d) return new Date(value.d);
+    if (value.o) return new mongoose.Types.ObjectId(value.o);
+  }
+  return value;
+};
+
+// Build an opaque cursor pointing just after the given document
+const encodeCursor = (doc, sortFields) => {
+  const payload = {
+    s: sortSignature(sortFields),
+    v: sortFields.map(({ field }) => encodeValue(doc[field])),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+// Decode a cursor, returns the sort values or null if it is invalid
+const decodeCursor = (cursor, sortFields) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+    if (
+      payload.s !== sortSignature(sortFields) ||
+      !Array.isArray(payload.v) ||
+      payload.v.length !== sortFields.length
+    ) {
+      return null;
+    }
+
+    return payload.v.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build a filter matching documents that sort after the cursor values
+const buildCursorFilter = (sortFields, values) => ({
+  $or: sortFields.map(({ field, direction }, index) => {
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[sortFields[i].field] = values[i];
+    }
+    clause[field] = { [direction === 1 ? "$gt" : "$lt"]: values[index] };
+    return clause;
+  }),
+});
+
+// Read limit and cursor from the query string.
+// Returns { error } if invalid, otherwise { limit, sort, cursorFilter }.
+const parsePagination = (query, sortFields, options = {}) => {
+  const defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+  const maxLimit = options.maxLimit || MAX_LIMIT;
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: "limit must be a positive whole number" };
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let cursorFilter = null;
+  if (query.cursor) {
+    const values = decodeCursor(query.cursor, sortFields);
+    if (!values) {
+      return { error: "Invalid or expired cursor" };
+    }
+    cursorFilter = buildCursorFilter(sortFields, values);
+  }
+
+  return { limit, sort: toSortObject(sortFields), cursorFilter };
+};
+
+// Add the cursor filter to an existing query without clobbering its $or
+const applyCursor = (query, cursorFilter) => {
+  if (!cursorFilter) return query;
+  return { ...query, $and: [...(query.$and || []), cursorFilter] };
+};
+
+// Trim the extra item fetched to detect another page and build the cursor.
+// Queries should fetch limit + 1 documents.
+const buildPage = (results, limit, sortFields) => {
+  const hasMore = results.length > limit;
+  const items = hasMore ? results.slice(0, limit) : results;
+  const nextCursor =
+    hasMore && items.length > 0
+      ? encodeCursor(items[items.length - 1], sortFields)
+      : null;
+
+  return { items, nextCursor, hasMore };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  parsePagination,
+  applyCursor,
+  buildPage,
+};
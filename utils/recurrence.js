@@ -0,0 +1,231 @@
+// Recurrence rule helpers for repeating events.
+//
+// A rule looks like:
+// {
+//   frequency: "daily" | "weekly" | "monthly",
+//   interval: 1,                    // every N days/weeks/months
+//   daysOfWeek: [1, 3],             // weekly only, 0 = Sunday
+//   monthlyBy: "dayOfMonth" | "nthWeekday", // monthly only
+//   until: "2025-12-31",            // end date, and/or
+//   count: 10,                      // number of occurrences
+// }
+//
+// Start dates are wall clock dates (see utils/time.js), so occurrences keep
+// the event's local time of day across daylight saving changes.
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const MONTHLY_MODES = ["dayOfMonth", "nthWeekday"];
+const MAX_OCCURRENCES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The end of the day an until date names, since it's inclusive
+const endOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// Validate a recurrence rule for a series starting at start (wall clock),
+// returns an error message or null
+const validateRecurrence = (rule, start) => {
+  if (!rule || typeof rule !== "object") {
+    return "Recurrence must be an object";
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  }
+
+  if (
+    rule.interval !== undefined &&
+    (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1)
+  ) {
+    return "Recurrence interval must be a positive whole number";
+  }
+
+  if (rule.daysOfWeek !== undefined) {
+    if (
+      !Array.isArray(rule.daysOfWeek) ||
+      rule.daysOfWeek.length === 0 ||
+      rule.daysOfWeek.some(
+        (day) => !Number.isInteger(Number(day)) || day < 0 || day > 6
+      )
+    ) {
+      return "Recurrence daysOfWeek must be a list of weekdays from 0 (Sunday) to 6 (Saturday)";
+    }
+
+    // The first occurrence is the event itself, so it must be on one of
+    // the days
+    if (
+      rule.frequency === "weekly" &&
+      !rule.daysOfWeek.map(Number).includes(start.getUTCDay())
+    ) {
+      return `Recurrence daysOfWeek must include the start date's weekday (${start.getUTCDay()})`;
+    }
+  }
+
+  if (rule.monthlyBy !== undefined && !MONTHLY_MODES.includes(rule.monthlyBy)) {
+    return `Recurrence monthlyBy must be one of: ${MONTHLY_MODES.join(", ")}`;
+  }
+
+  if (!rule.until && !rule.count) {
+    return "Recurrence requires an end date (until) or a count";
+  }
+
+  if (rule.until && isNaN(new Date(rule.until).getTime())) {
+    return "Recurrence end date is invalid";
+  }
+
+  if (rule.until && endOfDay(rule.until) < start) {
+    return "Recurrence end date must be on or after the start date";
+  }
+
+  if (
+    rule.count !== undefined &&
+    (!Number.isInteger(Number(rule.count)) ||
+      Number(rule.count) < 1 ||
+      Number(rule.count) > MAX_OCCURRENCES)
+  ) {
+    return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+
+  return null;
+};
+
+// Normalize a validated rule into the shape stored on the event
+const normalizeRecurrence = (rule, start) => {
+  const normalized = {
+    frequency: rule.frequency,
+    interval: Number(rule.interval) || 1,
+    daysOfWeek: [],
+    monthlyBy: null,
+    until: rule.until ? new Date(rule.until) : null,
+    count: rule.count ? Number(rule.count) : null,
+  };
+
+  if (rule.frequency === "weekly") {
+    const days = rule.daysOfWeek || [start.getUTCDay()];
+    normalized.daysOfWeek = [...new Set(days.map(Number))].sort(
+      (a, b) => a - b
+    );
+  }
+
+  if (rule.frequency === "monthly") {
+    normalized.monthlyBy = rule.monthlyBy || "dayOfMonth";
+  }
+
+  return normalized;
+};
+
+// Date helpers working in UTC so occurrences keep the start's time of day
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const withDayOfMonth = (start, year, month, day) =>
+  new Date(
+    Date.UTC(
+      year,
+      month,
+      day,
+      start.getUTCHours(),
+      start.getUTCMinutes(),
+      start.getUTCSeconds()
+    )
+  );
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Find the nth weekday of a month (nth = -1 means the last one)
+const nthWeekdayOfMonth = (start, year, month, weekday, nth) => {
+  if (nth === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    const day = lastDay - ((lastWeekday - weekday + 7) % 7);
+    return withDayOfMonth(start, year, month, day);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  return withDayOfMonth(start, year, month, day);
+};
+
+// Generate candidate dates (unbounded, in order) for a normalized rule
+function* candidateDates(start, rule) {
+  if (rule.frequency === "daily") {
+    for (let i = 0; ; i += rule.interval) {
+      yield addDays(start, i);
+    }
+  }
+
+  if (rule.frequency === "weekly") {
+    const weekStart = addDays(start, -start.getUTCDay());
+    for (let week = 0; ; week += rule.interval) {
+      for (const day of rule.daysOfWeek) {
+        const date = addDays(weekStart, week * 7 + day);
+        if (date >= start) {
+          yield date;
+        }
+      }
+    }
+  }
+
+  if (rule.frequency === "monthly") {
+    const weekday = start.getUTCDay();
+    let nth = Math.ceil(start.getUTCDate() / 7);
+    if (nth === 5) nth = -1;
+
+    for (let i = 0; ; i += rule.interval) {
+      const monthIndex = start.getUTCMonth() + i;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+
+      if (rule.monthlyBy === "nthWeekday") {
+        yield nthWeekdayOfMonth(start, year, month, weekday, nth);
+      } else if (start.getUTCDate() <= daysInMonth(year, month)) {
+        // Months without this day (e.g. the 31st) are skipped
+        yield withDayOfMonth(start, year, month, start.getUTCDate());
+      }
+    }
+  }
+}
+
+// Expand a normalized rule into the list of occurrence start dates.
+// Returns { dates } or { error } when the rule gives no occurrences or an
+// end date would give more than MAX_OCCURRENCES.
+const expandRecurrence = (start, rule) => {
+  const limit = rule.count || MAX_OCCURRENCES;
+  const until = rule.until ? endOfDay(rule.until) : null;
+
+  const dates = [];
+  for (const date of candidateDates(start, rule)) {
+    if (until && date > until) {
+      break;
+    }
+    if (dates.length >= limit) {
+      // Series ending on a date must fit within the limit
+      if (!rule.count) {
+        return {
+          error: `Recurrence would create more than ${MAX_OCCURRENCES} occurrences, use an earlier end date or a count`,
+        };
+      }
+      break;
+    }
+    dates.push(date);
+  }
+
+  if (dates.length === 0) {
+    return { error: "Recurrence has no occurrences" };
+  }
+  return { dates };
+};
+
+// Format an occurrence date as the legacy YYYY-MM-DD date string
+const formatOccurrenceDate = (date) => date.toISOString().split("T")[0];
+
+module.exports = {
+  MAX_OCCURRENCES,
+  validateRecurrence,
+  normalizeRecurrence,
+  expandRecurrence,
+  formatOccurrenceDate,
+};
@@ -0,0 +1,172 @@
+// Timezone helpers for event times, built on Intl so no extra dependency
+// is needed.
+//
+// A "wall clock" date is a Date whose UTC fields hold the local date and
+// time in some timezone. Date arithmetic on wall clock dates keeps the
+// local time of day across daylight saving changes.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+// Length assumed for events without an end time or duration
+const DEFAULT_EVENT_DURATION_MINUTES =
+  Number(process.env.DEFAULT_EVENT_DURATION_MINUTES) || 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// Check for a valid IANA timezone name, e.g. "Europe/Berlin"
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Convert a moment in time to the wall clock in a timezone
+const toWallClock = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return new Date(
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      date.getUTCMilliseconds()
+    )
+  );
+};
+
+// Convert a wall clock date in a timezone back to a moment in time. Times
+// skipped by a daylight saving change resolve to the hour after.
+const fromWallClock = (wallDate, timeZone) => {
+  const wall = wallDate.getTime();
+  const offset = toWallClock(wallDate, timeZone).getTime() - wall;
+  let result = wall - offset;
+
+  const correctedOffset =
+    toWallClock(new Date(result), timeZone).getTime() - result;
+  if (correctedOffset !== offset) {
+    result = wall - correctedOffset;
+  }
+
+  return new Date(result);
+};
+
+// Local date (YYYY-MM-DD) and time (HH:mm) of a moment in a timezone
+const formatLocalDate = (date, timeZone) =>
+  toWallClock(date, timeZone).toISOString().slice(0, 10);
+
+const formatLocalTime = (date, timeZone) =>
+  toWallClock(date, timeZone).toISOString().slice(11, 16);
+
+// Check for a real calendar date in YYYY-MM-DD form
+const isValidDateString = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Parse a local date (YYYY-MM-DD) and time ("18:30" or "6:30 PM") in a
+// timezone. Returns a Date or null if either can't be parsed.
+const parseLocalDateTime = (date, time, timeZone) => {
+  if (!isValidDateString(date) || typeof time !== "string") return null;
+
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(
+    time.trim()
+  );
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  const meridiem = match[4] && match[4].toUpperCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "PM" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  const [year, month, day] = date.split("-").map(Number);
+  return fromWallClock(
+    new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)),
+    timeZone
+  );
+};
+
+// Shift a local date string by a number of days
+const addDaysToDateString = (value, days) =>
+  new Date(new Date(`${value}T00:00:00Z`).getTime() + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+// Named date ranges, as { from, to } local date strings in a timezone:
+//   today, tomorrow, weekend (this Saturday and Sunday, or the current
+//   one when it's already the weekend)
+const RELATIVE_RANGES = ["today", "tomorrow", "weekend"];
+
+const getRelativeDateRange = (name, timeZone, now = new Date()) => {
+  const today = formatLocalDate(now, timeZone);
+
+  if (name === "today") {
+    return { from: today, to: today };
+  }
+
+  if (name === "tomorrow") {
+    const tomorrow = addDaysToDateString(today, 1);
+    return { from: tomorrow, to: tomorrow };
+  }
+
+  if (name === "weekend") {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const saturday = addDaysToDateString(
+      today,
+      weekday === 0 ? -1 : 6 - weekday
+    );
+    return { from: saturday, to: addDaysToDateString(saturday, 1) };
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_EVENT_DURATION_MINUTES,
+  RELATIVE_RANGES,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  formatLocalDate,
+  formatLocalTime,
+  isValidDateString,
+  parseLocalDateTime,
+  getRelativeDateRange,
+};